@@ -0,0 +1,99 @@
+/**
+ * 崩溃安全的文件写入和运行锁
+ * 写入先落到同目录的临时文件并刷盘，再重命名覆盖目标文件，进程中途退出时目标文件保持旧内容；
+ * 锁文件记录持有者的pid和开始时间，持有进程已不存在或超过有效期的锁视为过期，可以被清理
+ */
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+
+// 配置常量
+const LOCK_STALE_MS = 60 * 60 * 1000; // 锁超过1小时视为过期（Actions单次运行不超过15分钟）
+
+/**
+ * 原子写入文件：写临时文件、刷盘、重命名
+ */
+async function writeFileAtomic(filePath, content, encoding) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  let handle;
+  try {
+    handle = await fsPromises.open(tempPath, 'w');
+    await handle.writeFile(content, encoding);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fsPromises.rename(tempPath, filePath);
+  } catch (err) {
+    if (handle) await handle.close().catch(() => {});
+    await fsPromises.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * 判断锁是否过期：内容无法解析、超过有效期或持有进程已退出
+ */
+function isStaleLock(holder, staleMs) {
+  if (!holder || !holder.pid || !holder.started_at) return true;
+  if (Date.now() - new Date(holder.started_at).getTime() > staleMs) return true;
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (err) {
+    // EPERM表示进程存在但属于其他用户
+    return err.code === 'ESRCH';
+  }
+}
+
+/**
+ * 获取锁（锁文件所在目录不存在时先创建），已被其他运行持有时抛出异常
+ * 返回释放函数 release()
+ */
+async function acquireLock(lockPath, options = {}) {
+  const { staleMs = LOCK_STALE_MS } = options;
+  // 首次运行时输出目录可能还不存在
+  await fsPromises.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const handle = await fsPromises.open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, started_at: new Date().toISOString() }), 'utf8');
+      await handle.close();
+      return () => fsPromises.rm(lockPath, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    let holder = null;
+    try {
+      holder = JSON.parse(await fsPromises.readFile(lockPath, 'utf8'));
+    } catch (err) {
+      // 锁文件写到一半或已被删除，按过期处理
+    }
+    if (!isStaleLock(holder, staleMs)) {
+      throw new Error(`已有运行正在进行（pid ${holder.pid}，开始于 ${holder.started_at}），锁文件: ${lockPath}`);
+    }
+    console.warn(`⚠️ 清理过期的锁文件: ${lockPath}`);
+    await fsPromises.rm(lockPath, { force: true });
+  }
+  throw new Error(`无法获取锁: ${lockPath}`);
+}
+
+/**
+ * 持有锁执行task，结束后（包括出错时）释放锁
+ */
+async function withLock(lockPath, task, options) {
+  const release = await acquireLock(lockPath, options);
+  try {
+    return await task();
+  } finally {
+    await release();
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  acquireLock,
+  withLock
+};
@@ -0,0 +1,209 @@
+/**
+ * 频道分类注册表
+ * channel.json 中除配置键以外的顶层节点都视为分类树：
+ * 对象节点是分组（可任意嵌套），数组节点是叶子分类（频道列表）
+ */
+
+// channel.json 顶层的非分类配置键
+const RESERVED_KEYS = ['subscription_urls', 'url_canonicalization', 'source_ranking', 'auto_discover', 'source_policy', 'epg', 'output_profiles'];
+
+// 分类/地区的显示名称（未列出的键直接使用键名）
+const CATEGORY_LABELS = {
+  cctv_channels: '央视频道',
+  free_terrestrial_channel: '央视免费',
+  donghua_region: '动画少儿',
+  provincial_satellite_channel: '卫视频道',
+  huabei_region: '华北',
+  dongbei_region: '东北',
+  huadong_region: '华东',
+  zhongnan_region: '中南',
+  xinan_region: '西南',
+  xibei_region: '西北',
+  characteristic_city_channel: '城市特色',
+  digital_paid_channel: '数字付费',
+  auto_discovered: '自动发现'
+};
+
+// 订阅分组名（TXT的 #genre# 段落、M3U的 group-title）中的分类提示，按顺序取第一个包含关键词的分类；
+// suffix为该分类频道名的通用后缀，订阅中省略了后缀的名称（如卫视分组下的 "北京"）会补上后缀再匹配
+const CATEGORY_HINTS = [
+  { category: 'digital_paid_channel', keywords: ['付费', '数字'] },
+  { category: 'donghua_region', keywords: ['少儿', '动画', '卡通', '动漫'] },
+  { category: 'provincial_satellite_channel', keywords: ['卫视'], suffix: '卫视' },
+  { category: 'cctv_channels', keywords: ['央视', 'cctv'] },
+  { category: 'characteristic_city_channel', keywords: ['地方', '城市'] }
+];
+
+// 自动发现分类的默认键（auto_discover.category 未配置时使用）
+const DEFAULT_AUTO_DISCOVER_CATEGORY = 'auto_discovered';
+
+/**
+ * 获取频道键（别名列表的第一个）
+ */
+function getChannelKey(channel) {
+  return Array.isArray(channel.name) ? channel.name[0] : channel.name;
+}
+
+/**
+ * 分类路径的显示名称，如 ['provincial_satellite_channel', 'huabei_region'] -> "卫视频道-华北"
+ */
+function getCategoryLabel(categoryPath) {
+  return categoryPath.map(key => CATEGORY_LABELS[key] || key).join('-');
+}
+
+/**
+ * 根据订阅分组名获取分类提示 { category, keywords, suffix? }，没有提示时返回null
+ */
+function getCategoryHint(group) {
+  if (!group) return null;
+  const text = group.toLowerCase();
+  return CATEGORY_HINTS.find(hint => hint.keywords.some(keyword => text.includes(keyword))) || null;
+}
+
+/**
+ * 获取自动发现分类的键，未启用时返回null
+ * 启用后channel.json之外的订阅频道按订阅分组收集到该分类下
+ */
+function getAutoDiscoverCategory(channelData) {
+  const config = (channelData && channelData.auto_discover) || {};
+  return config.enabled ? config.category || DEFAULT_AUTO_DISCOVER_CATEGORY : null;
+}
+
+/**
+ * 判断频道条目是否合法（name为非空字符串或非空字符串数组）
+ */
+function isValidChannel(channel) {
+  if (!channel || typeof channel !== 'object' || Array.isArray(channel)) return false;
+  const { name } = channel;
+  if (typeof name === 'string') return name.trim().length > 0;
+  return Array.isArray(name) && name.length > 0 &&
+    name.every(alias => typeof alias === 'string' && alias.trim().length > 0);
+}
+
+/**
+ * 获取分类树的顶层节点（跳过配置键）
+ */
+function getCategoryRoots(channelData) {
+  return Object.entries(channelData || {}).filter(([key]) => !RESERVED_KEYS.includes(key));
+}
+
+/**
+ * 按声明顺序遍历所有叶子分类
+ * 返回 [{ path: ['provincial_satellite_channel', 'huabei_region'], channels: [...] }]，非法频道条目会被跳过
+ */
+function walkCategories(channelData) {
+  const categories = [];
+  const walk = (node, categoryPath) => {
+    if (Array.isArray(node)) {
+      categories.push({ path: categoryPath, channels: node.filter(isValidChannel) });
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        walk(value, [...categoryPath, key]);
+      }
+    }
+  };
+
+  for (const [key, value] of getCategoryRoots(channelData)) {
+    walk(value, [key]);
+  }
+  return categories;
+}
+
+/**
+ * 生成与分类树结构一致的空输出
+ */
+function buildEmptyOutput(channelData) {
+  const output = {};
+  for (const { path: categoryPath } of walkCategories(channelData)) {
+    getCategoryNode(output, categoryPath);
+  }
+  return output;
+}
+
+/**
+ * 获取输出中分类路径对应的频道数组，路径不存在时逐级创建
+ */
+function getCategoryNode(output, categoryPath) {
+  let node = output;
+  categoryPath.forEach((key, index) => {
+    const isLeaf = index === categoryPath.length - 1;
+    if (isLeaf ? !Array.isArray(node[key]) : (!node[key] || typeof node[key] !== 'object' || Array.isArray(node[key]))) {
+      node[key] = isLeaf ? [] : {};
+    }
+    node = node[key];
+  });
+  return node;
+}
+
+/**
+ * 在分类树中查找频道所在的分类路径
+ */
+function findChannelCategory(channelData, channelKey) {
+  for (const category of walkCategories(channelData)) {
+    if (category.channels.some(channel => getChannelKey(channel) === channelKey)) {
+      return category.path;
+    }
+  }
+  return null;
+}
+
+/**
+ * 遍历输出中的所有频道条目，回调参数为 (entry, categoryPath)
+ */
+function forEachOutputChannel(output, callback) {
+  const walk = (node, categoryPath) => {
+    if (Array.isArray(node)) {
+      node.forEach(entry => {
+        if (entry && entry.name) callback(entry, categoryPath);
+      });
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        walk(value, [...categoryPath, key]);
+      }
+    }
+  };
+  walk(output, []);
+}
+
+/**
+ * 判断分类路径是否属于分类列表中的任一分类（键路径或显示名称，均包含下级分类）
+ */
+function matchCategoryPath(categoryPath, categoryKeys) {
+  return categoryPath.some((key, index) => {
+    const prefix = categoryPath.slice(0, index + 1);
+    return categoryKeys.includes(prefix.join('.')) || categoryKeys.includes(getCategoryLabel(prefix));
+  });
+}
+
+/**
+ * 创建频道过滤器 { active, includes(channelKey, categoryPath) }
+ * channels为频道名列表（任一别名，用matcher按归一化规则匹配），categoryKeys为分类列表
+ * （键路径如 "cctv_channels.donghua_region"，或显示名称如 "央视频道"、"央视频道-动画"，均包含下级分类）；
+ * 频道属于任一列表即保留，两个列表都为空时不过滤
+ */
+function createChannelFilter(matcher, { channels = [], categories: categoryKeys = [] } = {}) {
+  const channelKeys = new Set(channels.map(name => matcher.match(name) || name));
+  const active = channelKeys.size > 0 || categoryKeys.length > 0;
+
+  return {
+    active,
+    includes(channelKey, categoryPath = []) {
+      return !active || channelKeys.has(channelKey) || matchCategoryPath(categoryPath, categoryKeys);
+    }
+  };
+}
+
+module.exports = {
+  RESERVED_KEYS,
+  getChannelKey,
+  getCategoryLabel,
+  getCategoryHint,
+  getAutoDiscoverCategory,
+  walkCategories,
+  buildEmptyOutput,
+  getCategoryNode,
+  findChannelCategory,
+  forEachOutputChannel,
+  matchCategoryPath,
+  createChannelFilter
+};
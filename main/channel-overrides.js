@@ -0,0 +1,70 @@
+/**
+ * 频道级的源配置
+ * channel.json 中的频道可以配置：
+ *   pinned_sources  置顶的源，总是保留并排在最前面（不受过滤策略和黑名单影响）；
+ *                   占用数量上限，置顶的源达到上限时不再保留其他源
+ *   extra_sources   手动添加的源，每次运行都视为出现，和订阅的源一起排序
+ *   blocked_sources 屏蔽的源地址规则（"*" 匹配任意字符）
+ *   blocked_hosts   屏蔽的主机（支持 "*.example.com"）
+ *   max_sources     该频道最多保留的源数量，覆盖全局设置
+ *   quality_min     最低清晰度（sd / hd / fhd / uhd 或分辨率高度），清晰度未知的源照常保留
+ * 全局黑名单见 source_policy 的 deny_hosts / deny_sources
+ */
+
+const { matchHost, matchUrlPattern } = require('./sources');
+const { getQualityLevel } = require('./hls');
+const { getResolutionLevel } = require('./ranking');
+
+/**
+ * 获取URL的主机名，无法解析时返回null
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 手动配置的源转换为源记录
+ */
+function toManualRecord(url) {
+  return { url, manual: true, subscription_ids: [] };
+}
+
+/**
+ * 读取频道配置中的源设置
+ * 返回 { pinned: [地址], extra: [源记录], isBlocked(url), meetsQuality(record), maxSources }，maxSources未配置时为null；
+ * meetsQuality按检测到的分辨率（没有时按名称/URL中的清晰度标记）判断
+ */
+function getChannelOverrides(channel = {}) {
+  const blockedSources = channel.blocked_sources || [];
+  const blockedHosts = channel.blocked_hosts || [];
+  const pinned = channel.pinned_sources || [];
+
+  const isBlocked = (url) => {
+    if (pinned.includes(url)) return false;
+    if (blockedSources.some(pattern => matchUrlPattern(url, pattern))) return true;
+    const hostname = getHostname(url);
+    return Boolean(hostname) && blockedHosts.some(pattern => matchHost(hostname, pattern));
+  };
+
+  const qualityMin = getQualityLevel(channel.quality_min);
+  const meetsQuality = (record) => {
+    const level = qualityMin ? getResolutionLevel(record) : 0;
+    return level === 0 || level >= qualityMin;
+  };
+
+  return {
+    pinned,
+    extra: (channel.extra_sources || []).filter(url => !isBlocked(url)).map(toManualRecord),
+    isBlocked,
+    meetsQuality,
+    maxSources: channel.max_sources || null
+  };
+}
+
+module.exports = {
+  getChannelOverrides
+};
@@ -0,0 +1,432 @@
+const path = require('path');
+const { getSourceUrl, getSourceHeaders, toSourceRecord } = require('./sources');
+const { request } = require('./http-client');
+const outputStore = require('./output-store');
+const history = require('./history');
+const hls = require('./hls');
+const { createSourceRanker } = require('./ranking');
+const { writeFileAtomic, withLock } = require('./atomic-file');
+
+// 路径配置
+const outputJsonPath = path.join(path.dirname(__dirname), 'output.json');
+const reportJsonPath = path.join(path.dirname(__dirname), 'check-report.json');
+
+// 配置常量
+// 只探测http(s)源，rtmp/rtsp/组播等其他协议的源不检测，原样保留
+const PROBE_PROTOCOLS = ['http:', 'https:'];
+const DEFAULT_OPTIONS = {
+  concurrency: 8, // 全局最大并发探测数
+  perHostLimit: 2, // 单个主机最大并发数
+  hostInterval: 300, // 同一主机两次请求的最小间隔（毫秒）
+  timeout: 10000, // 单次请求超时（毫秒）
+  maxRedirects: 5, // 最多跟随的重定向次数
+  maxPlaylistSize: 2 * 1024 * 1024, // 播放列表最大2MB
+  segmentSampleSize: 256 * 1024, // 分片只下载前256KB用于验证
+  liveCheck: false, // 是否重新读取媒体播放列表区分直播、点播和循环占位流
+  maxRefreshDelay: 6000 // 重新读取前最多等待的时间（毫秒），默认等待一个分片时长
+};
+
+/**
+ * 判断响应是否为HLS播放列表
+ */
+function looksLikePlaylist(url, res) {
+  const contentType = String(res.headers['content-type'] || '').toLowerCase();
+  return /\.m3u8?(\?|$)/i.test(new URL(url).pathname) ||
+    contentType.includes('mpegurl') ||
+    res.body.slice(0, 7).toString('utf8') === '#EXTM3U';
+}
+
+/**
+ * 读取并解析播放列表，状态码异常或内容不是播放列表时抛出异常
+ */
+async function fetchPlaylist(url, requestOptions, label) {
+  const res = await request(url, requestOptions);
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`${label} HTTP ${res.status}`);
+  }
+  const playlist = hls.parsePlaylist(res.body.toString('utf8'), res.finalUrl);
+  if (!playlist) throw new Error(`Invalid ${label.toLowerCase()}`);
+  return { playlist, finalUrl: res.finalUrl };
+}
+
+/**
+ * 等待指定毫秒数
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 探测单个源：HTTP状态、播放列表解析、首个分片下载和延迟
+ * 主播放列表记录各子播放列表的码率、分辨率和编码，并继续探测清晰度最高的子播放列表；
+ * liveCheck时间隔一个分片时长再次读取媒体播放列表，根据媒体序号判断直播、点播或循环占位流，结果记录在stream字段
+ * 源记录中的 User-Agent / Referer 会随每个请求发送
+ */
+async function probeSource(source, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const url = getSourceUrl(source);
+  const requestOptions = { timeout: opts.timeout, maxRedirects: opts.maxRedirects, headers: getSourceHeaders(source), truncate: true };
+  const playlistOptions = { ...requestOptions, maxBytes: opts.maxPlaylistSize };
+  const result = {
+    url,
+    ok: false,
+    status: null,
+    latency: null,
+    playlist: null,
+    segment: null,
+    stream: null,
+    error: null,
+    checkedAt: new Date().toISOString()
+  };
+  const startedAt = Date.now();
+
+  try {
+    const res = await request(url, playlistOptions);
+    result.status = res.status;
+    result.latency = res.latency;
+    if (res.status < 200 || res.status >= 300) {
+      throw new Error(`HTTP ${res.status}`);
+    }
+
+    // 非HLS源（如flv、ts直链）只要能正常返回数据即视为可用
+    if (!looksLikePlaylist(res.finalUrl, res)) {
+      result.ok = res.body.length > 0;
+      if (!result.ok) result.error = 'Empty response';
+      return result;
+    }
+
+    let playlist = hls.parsePlaylist(res.body.toString('utf8'), res.finalUrl);
+    let mediaUrl = res.finalUrl;
+    if (!playlist) {
+      result.playlist = 'invalid';
+      throw new Error('Invalid m3u8 playlist');
+    }
+
+    // 主播放列表：继续解析清晰度最高的子播放列表
+    const stream = { type: null, bandwidth: null, width: null, height: null, codecs: null, variants: playlist.variants.length };
+    result.stream = stream;
+    if (playlist.isMaster) {
+      const best = hls.selectBestVariant(playlist.variants);
+      Object.assign(stream, { bandwidth: best.bandwidth, width: best.width, height: best.height, codecs: best.codecs });
+      try {
+        ({ playlist, finalUrl: mediaUrl } = await fetchPlaylist(best.url, playlistOptions, 'Variant playlist'));
+      } catch (err) {
+        result.playlist = 'invalid';
+        throw err;
+      }
+    }
+
+    if (playlist.segments.length === 0) {
+      result.playlist = 'empty';
+      throw new Error('Playlist has no segments');
+    }
+    result.playlist = 'ok';
+
+    // 下载首个分片（只取样前一部分）
+    const segmentRes = await request(playlist.segments[0], { ...requestOptions, maxBytes: opts.segmentSampleSize });
+    if (segmentRes.status < 200 || segmentRes.status >= 300 || segmentRes.body.length === 0) {
+      result.segment = 'failed';
+      throw new Error(`Segment HTTP ${segmentRes.status}`);
+    }
+    result.segment = 'ok';
+    result.ok = true;
+
+    // 重新读取失败时不影响可用性，只是无法判断流的类型
+    stream.type = hls.getStreamType(playlist, null);
+    if (!stream.type && opts.liveCheck) {
+      await delay(Math.min((playlist.targetDuration || 1) * 1000, opts.maxRefreshDelay));
+      const refreshed = await fetchPlaylist(mediaUrl, playlistOptions, 'Media playlist').catch(() => null);
+      if (refreshed) stream.type = hls.getStreamType(playlist, refreshed.playlist);
+    }
+  } catch (err) {
+    result.error = err.message;
+  } finally {
+    result.elapsed = Date.now() - startedAt;
+  }
+
+  return result;
+}
+
+/**
+ * 获取URL对应的主机名（解析失败时返回原始URL，单独限流）
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * 判断源是否可以探测
+ */
+function isProbeable(url) {
+  try {
+    return PROBE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 带并发上限和单主机限速的探测调度
+ * 全局同时最多concurrency个请求，同一主机最多perHostLimit个，且两次请求间隔不小于hostInterval
+ */
+function probeAll(sources, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const probe = opts.probe || probeSource;
+  const pending = [...sources];
+  const results = new Map();
+  const hostActive = new Map();
+  const hostLastStart = new Map();
+  let active = 0;
+
+  return new Promise((resolve) => {
+    let timer = null;
+
+    const schedule = () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      let nextWait = Infinity;
+      for (let i = 0; i < pending.length && active < opts.concurrency; i++) {
+        const source = pending[i];
+        const url = getSourceUrl(source);
+        const host = getHost(url);
+        if ((hostActive.get(host) || 0) >= opts.perHostLimit) continue;
+
+        const wait = (hostLastStart.get(host) || 0) + opts.hostInterval - Date.now();
+        if (wait > 0) {
+          nextWait = Math.min(nextWait, wait);
+          continue;
+        }
+
+        pending.splice(i--, 1);
+        active++;
+        hostActive.set(host, (hostActive.get(host) || 0) + 1);
+        hostLastStart.set(host, Date.now());
+
+        // 探测函数抛出异常时记为失效，队列继续执行
+        Promise.resolve()
+          .then(() => probe(source, opts))
+          .catch(err => ({ url, ok: false, status: null, latency: null, error: err.message, checkedAt: new Date().toISOString() }))
+          .then((result) => {
+            results.set(url, result);
+            if (opts.onResult) opts.onResult(result, results.size, sources.length);
+          })
+          .finally(() => {
+            active--;
+            hostActive.set(host, hostActive.get(host) - 1);
+            schedule();
+          });
+      }
+
+      // 仅因主机限速而等待时，定时重新调度
+      if (nextWait !== Infinity && active < opts.concurrency) {
+        timer = setTimeout(schedule, nextWait);
+      }
+    };
+
+    schedule();
+  });
+}
+
+/**
+ * 遍历输出结构中所有频道条目（带sources数组的节点），filter(entry, categoryPath) 返回false的条目跳过
+ */
+function collectChannelEntries(node, filter = () => true, categoryPath = [], entries = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      if (item && Array.isArray(item.sources) && filter(item, categoryPath)) entries.push(item);
+    }
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      collectChannelEntries(value, filter, [...categoryPath, key], entries);
+    }
+  }
+  return entries;
+}
+
+/**
+ * 去掉流信息中未知的字段（非主播放列表没有码率和分辨率），没有任何信息时返回null
+ */
+function compactStream(stream) {
+  const known = Object.entries(stream || {}).filter(([key, value]) => value !== null && !(key === 'variants' && value === 0));
+  return known.length > 0 ? Object.fromEntries(known) : null;
+}
+
+/**
+ * 根据探测结果重排或剔除源，并把检测结果记录到源的health字段、HLS流信息记录到stream字段（抓取时作为排序依据）
+ * rank模式：可用源按ranker（ranking.js的createSourceRanker）的分数排在前面，分数主要来自检测到的分辨率和流类型，
+ * 同分时按延迟升序；其后是未检测的源（非http协议），失效源保留在末尾
+ * prune模式：删除失效源（保留未检测的源），源全部失效的频道整体移除，便于下次抓取重新匹配
+ * 置顶的源（pinned）两种模式下都保持原位置，不会被剔除
+ */
+function applyResults(output, results, mode = 'rank', ranker = createSourceRanker()) {
+  const getResult = source => results.get(getSourceUrl(source));
+  const walk = (node, categoryPath) => {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        if (!item || !Array.isArray(item.sources)) continue;
+        item.sources = item.sources.map((source) => {
+          const result = getResult(source);
+          if (!result) return source;
+          const record = { ...toSourceRecord(source), health: { ok: result.ok, latency: result.latency, checked_at: result.checkedAt } };
+          const stream = compactStream(result.stream);
+          if (stream) record.stream = stream;
+          return record;
+        });
+        const pinned = item.sources.filter(source => source.pinned);
+        const others = item.sources.filter(source => !source.pinned);
+        const alive = others.filter(source => getResult(source)?.ok);
+        const unchecked = others.filter(source => !getResult(source));
+        const dead = others.filter(source => getResult(source) && !getResult(source).ok);
+        // 先按延迟排序，排序器是稳定排序，同分的源保持延迟顺序
+        alive.sort((a, b) => getResult(a).latency - getResult(b).latency);
+        const ranked = ranker.rank(alive, categoryPath);
+        item.sources = mode === 'prune' ? [...pinned, ...ranked, ...unchecked] : [...pinned, ...ranked, ...unchecked, ...dead];
+      }
+      if (mode === 'prune') {
+        const kept = node.filter(item => !Array.isArray(item.sources) || item.sources.length > 0);
+        node.splice(0, node.length, ...kept);
+      }
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        walk(value, [...categoryPath, key]);
+      }
+    }
+  };
+  walk(output, []);
+  return output;
+}
+
+/**
+ * 检查output结构中的所有源，返回健康报告（会原地修改output）
+ * options.filter(entry, categoryPath) 可以只检查部分频道，options.channelData 为频道配置（rank模式按其中的 source_ranking 权重排序）
+ */
+async function checkOutput(output, options = {}) {
+  const mode = options.mode || 'rank';
+  const entries = collectChannelEntries(output, options.filter);
+  // 按URL去重，同一URL只探测一次
+  const uniqueSources = new Map();
+  for (const source of entries.flatMap(entry => entry.sources)) {
+    const url = getSourceUrl(source);
+    if (url && isProbeable(url) && !uniqueSources.has(url)) uniqueSources.set(url, source);
+  }
+  const urls = [...uniqueSources.keys()];
+
+  const results = await probeAll([...uniqueSources.values()], options);
+  const channels = entries.map(entry => {
+    const sources = entry.sources.map((source) => {
+      const url = getSourceUrl(source);
+      return results.get(url) || { url, ok: null, error: 'Unsupported protocol' };
+    });
+    return {
+      name: entry.name,
+      total: sources.length,
+      alive: sources.filter(item => item.ok).length,
+      sources
+    };
+  });
+
+  applyResults(output, results, mode, createSourceRanker(options.channelData));
+
+  const aliveCount = [...results.values()].filter(item => item.ok).length;
+  return {
+    checkedAt: new Date().toISOString(),
+    mode,
+    summary: {
+      channels: entries.length,
+      sources: urls.length,
+      alive: aliveCount,
+      dead: urls.length - aliveCount
+    },
+    channels
+  };
+}
+
+/**
+ * 检查output.json，写入健康报告和重排/剔除后的output.json（dryRun时不写文件）
+ * options除checkOutput的选项外还支持 outputPath、reportPath、dryRun，以及保存时的 lockPath、maxChannelDrop、force、
+ * historyPath（追加检测后的历史快照，为null时不记录）、historyRetentionDays（历史快照保留天数）；
+ * 返回 { before, output, report }
+ */
+async function runCheck(options = {}) {
+  const { dryRun = false, outputPath = outputJsonPath } = options;
+  const lockPath = options.lockPath || `${outputPath}.lock`;
+  if (!dryRun) {
+    return withLock(lockPath, () => runCheckUnlocked(options));
+  }
+  return runCheckUnlocked(options);
+}
+
+/**
+ * 检测并保存（不加锁）
+ */
+async function runCheckUnlocked(options) {
+  const {
+    outputPath = outputJsonPath,
+    reportPath = reportJsonPath,
+    dryRun = false,
+    lockPath,
+    maxChannelDrop,
+    force,
+    historyPath = path.join(path.dirname(outputPath), 'history.jsonl'),
+    historyRetentionDays,
+    ...checkOptions
+  } = options;
+  const mode = checkOptions.mode || 'rank';
+
+  console.log(`📄 读取输出文件: ${outputPath}`);
+  const { output: before } = await outputStore.readOutput(outputPath);
+  if (!before) throw new Error(`输出文件不存在: ${outputPath}`);
+  const output = JSON.parse(JSON.stringify(before));
+
+  console.log(`🩺 开始检测源（模式: ${mode}）...`);
+  const report = await checkOutput(output, {
+    onResult: (result, done, total) => {
+      const status = result.ok ? `✅ ${result.latency}ms` : `❌ ${result.error}`;
+      console.log(`  [${done}/${total}] ${status} ${result.url}`);
+    },
+    ...checkOptions
+  });
+
+  if (!dryRun) {
+    await writeFileAtomic(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`\n✅ 健康报告已保存: ${reportPath}`);
+    await outputStore.saveOutput(output, outputPath, {
+      previousCount: outputStore.countChannels(before),
+      maxChannelDrop,
+      force
+    });
+    console.log(`✅ output.json已更新: ${outputPath}`);
+    if (historyPath) {
+      await history.saveSnapshot(historyPath, history.createSnapshot(output, { kind: 'check' }), { retentionDays: historyRetentionDays });
+    }
+  }
+
+  const { summary } = report;
+  console.log(`\n📊 共检测 ${summary.sources} 个源：可用 ${summary.alive}，失效 ${summary.dead}`);
+  return { before, output, report };
+}
+
+module.exports = {
+  parsePlaylist: hls.parsePlaylist,
+  probeSource,
+  probeAll,
+  checkOutput,
+  applyResults,
+  runCheck
+};
+
+// 直接运行时等同于 cli.js check
+if (require.main === module) {
+  require('./cli').main(['check', ...process.argv.slice(2)]);
+}
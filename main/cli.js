@@ -0,0 +1,293 @@
+/**
+ * 命令行入口
+ * node cli.js <命令> [选项]，命令省略时为run；路径和数量上限可以用选项或环境变量指定（选项优先）
+ */
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const categories = require('./categories');
+const { createChannelMatcher } = require('./normalize');
+const { lintConfigFile, formatProblems } = require('./lint-channels');
+const { runCheck } = require('./check-sources');
+const { getHistoryStats, formatHistoryStats } = require('./history');
+const { readOutput } = require('./output-store');
+const { diffOutputs, formatDiff } = require('./output-diff');
+const { formatRunSummary } = require('./run-report');
+const { enableJsonLogs, writeJsonLog } = require('./logger');
+const { resolveSettings, loadChannelConfig, fetchSubscriptions, run } = require('./fetch-channels');
+
+const COMMANDS = {
+  run: '下载订阅、匹配频道、生成节目单并导出播放列表（默认）',
+  fetch: '只下载订阅到缓存目录',
+  match: '用缓存的订阅匹配频道，更新output.json',
+  export: '由output.json导出M3U/TXT播放列表',
+  check: '检测output.json中的源并按结果重排（--prune 剔除失效源）',
+  lint: '检查channel.json（--fix 自动修复）',
+  history: '统计历史记录：频道可用率、反复变化的源、订阅贡献和失去全部源的频道',
+  serve: '启动本地HTTP服务'
+};
+
+// 带值的选项：--name=value，未指定时读取环境变量
+const VALUE_OPTIONS = [
+  { name: 'config', env: 'CTER_TV_CONFIG', key: 'configPath', type: 'path', description: '频道配置文件' },
+  { name: 'output', env: 'CTER_TV_OUTPUT', key: 'outputPath', type: 'path', description: 'output.json路径，播放列表等输出文件放在同一目录' },
+  { name: 'cache-dir', env: 'CTER_TV_CACHE_DIR', key: 'cacheDir', type: 'path', description: '订阅缓存目录' },
+  { name: 'max-sources', env: 'CTER_TV_MAX_SOURCES', key: 'maxSources', type: 'int', description: '每个频道最多保留的源数量' },
+  { name: 'max-missed-runs', env: 'CTER_TV_MAX_MISSED_RUNS', key: 'maxMissedRuns', type: 'int', description: '源连续未出现多少次后淘汰' },
+  { name: 'max-response-mb', env: 'CTER_TV_MAX_RESPONSE_MB', key: 'maxResponseSize', type: 'mb', description: '单个订阅最大下载大小，单位MB' },
+  { name: 'download-concurrency', env: 'CTER_TV_DOWNLOAD_CONCURRENCY', key: 'downloadConcurrency', type: 'int', description: '订阅并发下载数' },
+  { name: 'max-drop', env: 'CTER_TV_MAX_CHANNEL_DROP', key: 'maxChannelDrop', type: 'percent', description: '有源的频道数量最多允许减少的百分比，超过时不保存output.json' },
+  { name: 'concurrency', env: 'CTER_TV_CHECK_CONCURRENCY', key: 'checkConcurrency', type: 'int', description: '源检测并发数' },
+  { name: 'channel', env: 'CTER_TV_CHANNELS', key: 'channels', type: 'list', description: '只处理这些频道，逗号分隔，可重复' },
+  { name: 'category', env: 'CTER_TV_CATEGORIES', key: 'categories', type: 'list', description: '只处理这些分类，键路径或显示名称，逗号分隔，可重复' },
+  { name: 'days', env: 'CTER_TV_HISTORY_DAYS', key: 'historyDays', type: 'int', description: 'history统计最近多少天' },
+  { name: 'history-retention-days', env: 'CTER_TV_HISTORY_RETENTION_DAYS', key: 'historyRetentionDays', type: 'int', description: 'history.jsonl保留最近多少天的快照' },
+  { name: 'port', env: 'PORT', key: 'port', type: 'int', description: 'serve的端口' },
+  { name: 'host', env: 'HOST', key: 'host', type: 'string', description: 'serve的监听地址' }
+];
+
+// 开关选项
+const FLAG_OPTIONS = {
+  'dry-run': '只打印output.json会发生的变化，不写入任何输出文件',
+  offline: '只使用缓存的订阅，不联网',
+  refresh: '忽略缓存，重新下载所有订阅',
+  prune: 'check时剔除失效源',
+  'live-check': 'check时间隔一个分片时长重新读取HLS播放列表，区分直播、点播和循环占位流（较慢）',
+  fix: 'lint时自动修复',
+  force: '跳过频道数量骤降检查，强制保存output.json',
+  'json-logs': '以JSON格式输出日志（每行一条），便于日志系统采集',
+  'no-history': '不在history.jsonl中记录本次运行',
+  help: '显示帮助'
+};
+
+/**
+ * 转换选项值，格式不正确时抛出异常
+ */
+function parseOptionValue(option, value) {
+  if (option.type === 'path') return path.resolve(value);
+  if (option.type === 'list') return value.split(',').map(item => item.trim()).filter(Boolean);
+  if (option.type === 'int' || option.type === 'mb') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+      throw new Error(`--${option.name} 需要正整数: ${value}`);
+    }
+    return option.type === 'mb' ? number * 1024 * 1024 : number;
+  }
+  if (option.type === 'percent') {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < 0 || number > 100) {
+      throw new Error(`--${option.name} 需要0到100之间的数字: ${value}`);
+    }
+    return number / 100;
+  }
+  return value;
+}
+
+/**
+ * 解析命令行参数和环境变量
+ * 返回 { command, settings, flags }，settings已按resolveSettings补全
+ */
+function parseArgs(argv, env = process.env) {
+  const positional = argv.filter(arg => !arg.startsWith('--'));
+  const command = positional[0] || 'run';
+  if (!COMMANDS[command]) throw new Error(`未知命令: ${command}`);
+
+  const settings = {};
+  const flags = {};
+  for (const option of VALUE_OPTIONS) {
+    if (env[option.env]) settings[option.key] = parseOptionValue(option, env[option.env]);
+  }
+
+  const fromArgs = new Set();
+  for (const arg of argv.filter(item => item.startsWith('--'))) {
+    const eqIndex = arg.indexOf('=');
+    const name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    const option = VALUE_OPTIONS.find(item => item.name === name);
+    if (option) {
+      if (eqIndex === -1) throw new Error(`--${name} 需要指定值，如 --${name}=...`);
+      const value = parseOptionValue(option, arg.slice(eqIndex + 1));
+      // 列表选项可以重复指定，命令行的值替换环境变量的值
+      settings[option.key] = option.type === 'list' && fromArgs.has(name) ? [...settings[option.key], ...value] : value;
+      fromArgs.add(name);
+    } else if (FLAG_OPTIONS[name] && eqIndex === -1) {
+      flags[name] = true;
+    } else {
+      throw new Error(`未知选项: ${arg}`);
+    }
+  }
+
+  if (flags.offline && flags.refresh) throw new Error('--offline 和 --refresh 不能同时使用');
+  settings.downloadMode = flags.offline ? 'offline' : flags.refresh ? 'refresh' : 'default';
+  settings.dryRun = Boolean(flags['dry-run']);
+  settings.force = Boolean(flags.force);
+  settings.history = !flags['no-history'];
+  return { command, settings: resolveSettings(settings), flags };
+}
+
+/**
+ * 帮助信息
+ */
+function formatHelp() {
+  const lines = ['用法: node cli.js <命令> [选项]', '', '命令:'];
+  for (const [name, description] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(8)}${description}`);
+  lines.push('', '选项:');
+  for (const option of VALUE_OPTIONS) {
+    lines.push(`  --${`${option.name}=...`.padEnd(26)}${option.description}（环境变量 ${option.env}）`);
+  }
+  for (const [name, description] of Object.entries(FLAG_OPTIONS)) lines.push(`  --${name.padEnd(26)}${description}`);
+  return lines.join('\n');
+}
+
+/**
+ * 读取output.json用于比较，文件不存在或损坏时视为空
+ */
+async function readOutputForDiff(outputPath) {
+  try {
+    return JSON.parse(await fsPromises.readFile(outputPath, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * 打印预览模式下output.json的变化
+ */
+function printDiff(before, after) {
+  console.log('\n📝 预览模式，未写入任何文件。output.json的变化:');
+  console.log(formatDiff(diffOutputs(before, after)));
+}
+
+/**
+ * 输出运行报告：在GitHub Actions中把Markdown摘要追加到 $GITHUB_STEP_SUMMARY，JSON日志模式下另外输出一条带报告的日志
+ */
+async function publishReport(report, flags, env = process.env) {
+  if (flags['json-logs']) writeJsonLog(process.stdout, report.status === 'ok' ? 'info' : 'error', '运行报告', { report });
+  if (!env.GITHUB_STEP_SUMMARY) return;
+  try {
+    await fsPromises.appendFile(env.GITHUB_STEP_SUMMARY, formatRunSummary(report), 'utf8');
+  } catch (err) {
+    console.warn(`⚠️ 写入GITHUB_STEP_SUMMARY失败: ${err.message}`);
+  }
+}
+
+/**
+ * run / match：匹配频道（run先下载订阅，并在之后生成节目单、导出播放列表）
+ */
+async function runPipeline(command, settings, flags) {
+  const before = settings.dryRun ? await readOutputForDiff(settings.outputPath) : null;
+  // match只使用缓存的订阅，也不导出
+  const { output, report } = await run(command === 'match' ? { ...settings, downloadMode: 'offline', export: false } : settings);
+  if (settings.dryRun) printDiff(before, output);
+  await publishReport(report, flags);
+}
+
+/**
+ * check：频道配置用于排序权重，以及按频道/分类过滤时识别别名
+ */
+async function runCheckCommand(settings, flags) {
+  const channelData = await loadChannelConfig(settings);
+  let filter;
+  if (settings.channels.length > 0 || settings.categories.length > 0) {
+    const matcher = createChannelMatcher(categories.walkCategories(channelData).flatMap(category => category.channels));
+    const channelFilter = categories.createChannelFilter(matcher, settings);
+    filter = (entry, categoryPath) => channelFilter.includes(categories.getChannelKey(entry), categoryPath);
+  }
+
+  const options = {
+    outputPath: settings.outputPath,
+    reportPath: settings.reportPath,
+    mode: flags.prune ? 'prune' : 'rank',
+    liveCheck: Boolean(flags['live-check']),
+    dryRun: settings.dryRun,
+    lockPath: settings.lockPath,
+    maxChannelDrop: settings.maxChannelDrop,
+    force: settings.force,
+    historyPath: settings.history ? settings.historyPath : null,
+    historyRetentionDays: settings.historyRetentionDays,
+    channelData,
+    filter
+  };
+  if (settings.checkConcurrency) options.concurrency = settings.checkConcurrency;
+  const { before, output } = await runCheck(options);
+  if (settings.dryRun) printDiff(before, output);
+}
+
+/**
+ * lint：返回是否有错误
+ */
+async function runLint(settings, flags) {
+  const { problems, errorCount } = await lintConfigFile(settings.configPath, { fix: flags.fix });
+  if (problems.length === 0) {
+    console.log(`✅ ${path.basename(settings.configPath)} 检查通过`);
+  } else {
+    console.log(formatProblems(problems, path.basename(settings.configPath)));
+  }
+  return errorCount === 0;
+}
+
+/**
+ * 主函数：argv为去掉 node 和脚本名之后的参数
+ */
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n`);
+    console.log(formatHelp());
+    process.exit(1);
+  }
+
+  const { command, settings, flags } = parsed;
+  if (flags.help) {
+    console.log(formatHelp());
+    return;
+  }
+  if (flags['json-logs']) enableJsonLogs();
+
+  try {
+    if (command === 'run' || command === 'match') {
+      await runPipeline(command, settings, flags);
+    } else if (command === 'fetch') {
+      await fetchSubscriptions(await loadChannelConfig(settings), settings);
+    } else if (command === 'export') {
+      const { exportPlaylists } = require('./export-playlists');
+      await exportPlaylists(settings);
+    } else if (command === 'check') {
+      await runCheckCommand(settings, flags);
+    } else if (command === 'lint') {
+      if (!await runLint(settings, flags)) process.exit(1);
+      return;
+    } else if (command === 'history') {
+      const { output } = await readOutput(settings.outputPath);
+      const stats = await getHistoryStats(settings.historyPath, { output, ...(settings.historyDays ? { days: settings.historyDays } : {}) });
+      console.log(formatHistoryStats(stats));
+      return;
+    } else if (command === 'serve') {
+      const { createServer } = require('./serve');
+      const service = createServer({ outputPath: settings.outputPath, rootDir: path.dirname(settings.outputPath), profilesDir: settings.profilesDir });
+      const address = await service.listen(settings.port, settings.host);
+      console.log(`✅ 服务已启动: http://${address.address}:${address.port}/`);
+      console.log('  /output.json、/output.m3u、/output.txt、/epg.xml.gz、/profiles/<名称>.m3u、/channel/<频道名>');
+      return;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ 全部处理流程完成！');
+  } catch (err) {
+    console.error('\n❌ 程序执行错误:', err);
+    if (err.report) await publishReport(err.report, flags);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  formatHelp,
+  main
+};
+
+if (require.main === module) {
+  main();
+}
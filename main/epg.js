@@ -0,0 +1,246 @@
+/**
+ * 节目单（EPG）
+ * 下载 channel.json 中 epg.urls 配置的XMLTV节目单，以及订阅 #EXTM3U 头中的 x-tvg-url（支持gzip），
+ * 用频道配置的别名把XMLTV频道映射到配置中的频道，只保留这些频道写入 epg.xml.gz；
+ * 输出中的频道id为频道配置的tvg_id，未配置时为频道键（别名列表的第一个），与M3U中的tvg-id一致
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const categories = require('./categories');
+const { createChannelMatcher } = require('./normalize');
+const { requestWithRetry } = require('./http-client');
+const { writeFileAtomic } = require('./atomic-file');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// 路径配置
+const epgOutputPath = path.join(path.dirname(__dirname), 'epg.xml.gz');
+
+// 配置常量
+const MAX_EPG_SIZE = 50 * 1024 * 1024; // 单个节目单最大50MB（gzip压缩后的大小）
+const EPG_TIMEOUT = 60000; // 节目单下载超时（毫秒）
+const EPG_RETRIES = 2; // 节目单下载失败重试次数
+const GENERATOR_NAME = 'cter_tv';
+// XMLTV中的 <channel> / <programme> 元素（兼容自闭合写法）
+const ELEMENT_REGEX = /<(channel|programme)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * 解码XML实体
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * 转义XML文本和属性值
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 解析元素开始标签中的属性
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * 获取频道在节目单中的id（tvg_id，未配置时为频道键）
+ */
+function getEpgChannelId(channel) {
+  return channel.tvg_id || categories.getChannelKey(channel).trim();
+}
+
+/**
+ * 汇总节目单地址：epg.urls 在前，订阅自带的地址在后（epg.subscription_urls 为false时不使用），去重
+ */
+function getEpgUrls(channelData, subscriptionEpgUrls = []) {
+  const epg = channelData.epg || {};
+  const urls = [...(epg.urls || [])];
+  if (epg.subscription_urls !== false) urls.push(...subscriptionEpgUrls);
+  return [...new Set(urls)];
+}
+
+/**
+ * M3U中引用的节目单地址：优先使用 epg.public_url，在GitHub Actions中运行时默认指向仓库中的epg.xml.gz
+ */
+function getEpgPublicUrl(channelData = {}) {
+  const epg = channelData.epg || {};
+  if (epg.public_url) return epg.public_url;
+  const { GITHUB_REPOSITORY, GITHUB_REF_NAME } = process.env;
+  if (GITHUB_REPOSITORY && GITHUB_REF_NAME) {
+    return `https://raw.githubusercontent.com/${GITHUB_REPOSITORY}/${GITHUB_REF_NAME}/${path.basename(epgOutputPath)}`;
+  }
+  return path.basename(epgOutputPath);
+}
+
+/**
+ * 下载节目单并解码为文本（按内容判断是否为gzip，不依赖扩展名）
+ */
+async function downloadEpg(url) {
+  const res = await requestWithRetry(url, {
+    timeout: EPG_TIMEOUT,
+    maxBytes: MAX_EPG_SIZE,
+    retries: EPG_RETRIES,
+    onRetry: ({ attempt, delay, reason }) => {
+      console.log(`  🔁 ${reason}，${Math.round(delay / 1000)}秒后第${attempt}次重试: ${url}`);
+    }
+  });
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+
+  let body = res.body;
+  if (body.length >= 2 && body[0] === 0x1f && body[1] === 0x8b) {
+    body = await gunzip(body);
+  }
+  const text = body.toString('utf8');
+  if (!/<tv[\s>]/.test(text.slice(0, 4096))) {
+    throw new Error('Not an XMLTV document');
+  }
+  return text;
+}
+
+/**
+ * 创建节目单合并器
+ * add(text) 逐个加入XMLTV文本：频道id或任一display-name匹配到配置频道时采用，
+ * 同一个配置频道只使用第一个匹配到的XMLTV频道，避免多个来源的节目重复；build() 返回合并后的XMLTV文本
+ */
+function createEpgMerger(channelData) {
+  const channels = categories.walkCategories(channelData).flatMap(category => category.channels);
+  const matcher = createChannelMatcher(channels);
+  const channelsByKey = new Map();
+  const channelsByTvgId = new Map();
+  for (const channel of channels) {
+    const key = categories.getChannelKey(channel);
+    if (!channelsByKey.has(key)) channelsByKey.set(key, channel);
+    if (channel.tvg_id && !channelsByTvgId.has(channel.tvg_id)) channelsByTvgId.set(channel.tvg_id, channel);
+  }
+
+  const covered = new Map(); // 输出频道id -> { channel, icon }
+  const programmes = [];
+
+  const mapChannel = (id, displayNames) => {
+    if (channelsByTvgId.has(id)) return channelsByTvgId.get(id);
+    for (const name of [id, ...displayNames]) {
+      const key = matcher.match(name);
+      if (key) return channelsByKey.get(key);
+    }
+    return null;
+  };
+
+  return {
+    add(text) {
+      const idMap = new Map(); // 节目单中的频道id -> 输出频道id
+      let programmeCount = 0;
+      for (const [raw, tag, attrText, body = ''] of text.matchAll(ELEMENT_REGEX)) {
+        const attributes = parseAttributes(attrText);
+        if (tag === 'channel') {
+          if (!attributes.id) continue;
+          const displayNames = [...body.matchAll(/<display-name\b[^>]*>([\s\S]*?)<\/display-name>/g)]
+            .map(match => decodeXml(match[1]).trim())
+            .filter(Boolean);
+          const channel = mapChannel(attributes.id, displayNames);
+          if (!channel) continue;
+          const outputId = getEpgChannelId(channel);
+          // 已由之前的节目单（或同一节目单中的其他频道id）提供的频道不再采用
+          if (covered.has(outputId)) continue;
+          const icon = /<icon\b[^>]*\/>/.exec(body);
+          covered.set(outputId, { channel, icon: icon ? icon[0] : null });
+          idMap.set(attributes.id, outputId);
+        } else if (idMap.has(attributes.channel)) {
+          const outputId = idMap.get(attributes.channel);
+          programmes.push(raw.replace(/\bchannel\s*=\s*("[^"]*"|'[^']*')/, `channel="${escapeXml(outputId)}"`));
+          programmeCount++;
+        }
+      }
+      return { channels: idMap.size, programmes: programmeCount };
+    },
+
+    build() {
+      const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<tv generator-info-name="${GENERATOR_NAME}">`];
+      for (const [outputId, { channel, icon }] of covered) {
+        lines.push(`  <channel id="${escapeXml(outputId)}">`);
+        const aliases = Array.isArray(channel.name) ? channel.name : [channel.name];
+        for (const alias of aliases) {
+          lines.push(`    <display-name lang="zh">${escapeXml(alias.trim())}</display-name>`);
+        }
+        if (channel.tvg_logo) lines.push(`    <icon src="${escapeXml(channel.tvg_logo)}"/>`);
+        else if (icon) lines.push(`    ${icon}`);
+        lines.push('  </channel>');
+      }
+      for (const programme of programmes) lines.push(`  ${programme}`);
+      lines.push('</tv>');
+      return lines.join('\n') + '\n';
+    },
+
+    get channelCount() {
+      return covered.size;
+    },
+
+    get programmeCount() {
+      return programmes.length;
+    }
+  };
+}
+
+/**
+ * 下载所有节目单，合并配置频道的节目写入epg.xml.gz
+ * 没有任何节目时保留之前的文件；返回 { channels, programmes, sources: [{ url, channels, programmes, error }] }
+ */
+async function buildEpg(channelData, options = {}) {
+  const { subscriptionEpgUrls = [], outputPath = epgOutputPath } = options;
+  const urls = getEpgUrls(channelData, subscriptionEpgUrls);
+  const merger = createEpgMerger(channelData);
+  const sources = [];
+
+  for (const url of urls) {
+    try {
+      console.log(`  ⬇️ 下载节目单: ${url}`);
+      const stats = merger.add(await downloadEpg(url));
+      console.log(`  ✅ 匹配 ${stats.channels} 个频道，${stats.programmes} 条节目`);
+      sources.push({ url, ...stats, error: null });
+    } catch (err) {
+      console.log(`  ❌ 节目单处理失败: ${url} - ${err.message}`);
+      sources.push({ url, channels: 0, programmes: 0, error: err.message });
+    }
+  }
+
+  const result = { channels: merger.channelCount, programmes: merger.programmeCount, sources };
+  if (merger.programmeCount === 0) {
+    console.log('⚠️ 未获取到任何配置频道的节目，保留原节目单文件');
+    return result;
+  }
+  await writeFileAtomic(outputPath, await gzip(merger.build()));
+  console.log(`✅ 节目单已保存: ${outputPath}（${result.channels} 个频道，${result.programmes} 条节目）`);
+  return result;
+}
+
+module.exports = {
+  epgOutputPath,
+  getEpgChannelId,
+  getEpgUrls,
+  getEpgPublicUrl,
+  createEpgMerger,
+  buildEpg
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { getSourceUrl, toSourceRecord } = require('./sources');
+const { getCategoryLabel, walkCategories } = require('./categories');
+const { isIPv6Url } = require('./source-policy');
+const { getEpgPublicUrl } = require('./epg');
+const { readOutput } = require('./output-store');
+const { writeFileAtomic } = require('./atomic-file');
+const { getOutputProfiles, applyProfile } = require('./output-profiles');
+
+// 路径配置
+const channelJsonPath = path.join(__dirname, 'channel.json');
+const outputJsonPath = path.join(path.dirname(__dirname), 'output.json');
+const m3uOutputPath = path.join(path.dirname(__dirname), 'output.m3u');
+const txtOutputPath = path.join(path.dirname(__dirname), 'output.txt');
+const epgOutputPath = path.join(path.dirname(__dirname), 'epg.xml.gz');
+const profilesOutputDir = path.join(path.dirname(__dirname), 'profiles');
+
+// 由导出逻辑统一生成的频道级属性，不从源记录中透传
+const CHANNEL_LEVEL_ATTRS = ['tvg-id', 'tvg-name', 'tvg-logo', 'group-title'];
+
+/**
+ * 获取频道主名称（别名列表的第一个）
+ */
+function getPrimaryName(name) {
+  return (Array.isArray(name) ? name[0] : name).trim();
+}
+
+/**
+ * 按output.json的结构顺序展开为分组列表
+ * 返回 [{ group, channels: [{ name, sources }] }]
+ */
+function flattenGroups(node, pathKeys = [], groups = []) {
+  if (Array.isArray(node)) {
+    const channels = node.filter(item => item && item.name && Array.isArray(item.sources) && item.sources.length > 0);
+    if (channels.length > 0) {
+      groups.push({ group: getCategoryLabel(pathKeys), channels });
+    }
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      flattenGroups(value, [...pathKeys, key], groups);
+    }
+  }
+  return groups;
+}
+
+/**
+ * 从channel.json收集频道的可选元数据（tvg_id、tvg_logo），以主名称为键
+ */
+function collectChannelMeta(channelData) {
+  const meta = {};
+  for (const category of walkCategories(channelData)) {
+    for (const channel of category.channels) {
+      meta[getPrimaryName(channel.name)] = channel;
+    }
+  }
+  return meta;
+}
+
+/**
+ * 转义M3U属性值（双引号会截断属性）
+ */
+function escapeAttr(value) {
+  return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * 从频道的源记录中取第一个非空的属性值（用于补全tvg-id、tvg-logo）
+ */
+function findSourceAttr(sources, key) {
+  for (const source of sources) {
+    const value = source.attributes && source.attributes[key];
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * 生成单个源的条目行：#EXTINF、#EXTVLCOPT、#KODIPROP 和URL
+ * 源自带的回看等属性（catchup、catchup-source等）原样保留
+ */
+function buildM3UEntry(source, channelAttrs, name) {
+  const attrs = [...channelAttrs];
+  for (const [key, value] of Object.entries(source.attributes || {})) {
+    if (!CHANNEL_LEVEL_ATTRS.includes(key) && value) attrs.push(`${key}="${escapeAttr(value)}"`);
+  }
+
+  const lines = [`#EXTINF:-1 ${attrs.join(' ')},${name}`];
+  for (const [key, value] of Object.entries(source.vlc_options || {})) {
+    lines.push(`#EXTVLCOPT:${key}=${value}`);
+  }
+  for (const [key, value] of Object.entries(source.kodi_props || {})) {
+    lines.push(`#KODIPROP:${key}=${value}`);
+  }
+  lines.push(source.url);
+  return lines;
+}
+
+/**
+ * 生成M3U8播放列表内容
+ * 同一频道的多个源按顺序输出为多个条目，播放器按顺序作为备用源
+ * tvg-id/tvg-logo 优先使用channel.json中的配置，其次取订阅源中的属性；
+ * 传入options.epgUrl时在文件头写入 x-tvg-url，未配置tvg_id的频道以主名称作为tvg-id（与epg.xml.gz中的频道id一致）
+ */
+function buildM3U(output, channelData, options = {}) {
+  const { epgUrl } = options;
+  const meta = collectChannelMeta(channelData);
+  const lines = [epgUrl ? `#EXTM3U x-tvg-url="${escapeAttr(epgUrl)}"` : '#EXTM3U'];
+
+  for (const { group, channels } of flattenGroups(output)) {
+    for (const channel of channels) {
+      const name = getPrimaryName(channel.name);
+      const channelMeta = meta[name] || {};
+      const sources = channel.sources.map(toSourceRecord);
+      const tvgId = channelMeta.tvg_id || (epgUrl ? name : findSourceAttr(sources, 'tvg-id'));
+      const tvgLogo = channelMeta.tvg_logo || findSourceAttr(sources, 'tvg-logo');
+
+      const attrs = [`tvg-name="${escapeAttr(name)}"`];
+      if (tvgId) attrs.unshift(`tvg-id="${escapeAttr(tvgId)}"`);
+      if (tvgLogo) attrs.push(`tvg-logo="${escapeAttr(tvgLogo)}"`);
+      attrs.push(`group-title="${escapeAttr(group)}"`);
+
+      for (const source of sources) {
+        lines.push(...buildM3UEntry(source, attrs, name));
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 生成TXT播放列表内容（"分组,#genre#" 作为分组标题，每行 "频道名,URL"）
+ */
+function buildTXT(output) {
+  const lines = [];
+
+  for (const { group, channels } of flattenGroups(output)) {
+    lines.push(`${group},#genre#`);
+    for (const channel of channels) {
+      // 频道名中的逗号会破坏 "名称,URL" 格式
+      const name = getPrimaryName(channel.name).replace(/,/g, ' ');
+      for (const source of channel.sources) {
+        lines.push(`${name},${getSourceUrl(source)}`);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 按条件过滤output.json中的源，返回新的结构（不修改原对象）
+ */
+function filterOutputSources(node, predicate) {
+  if (Array.isArray(node)) {
+    return node.map(item => (item && Array.isArray(item.sources)
+      ? { ...item, sources: item.sources.filter(source => predicate(getSourceUrl(source) || '')) }
+      : item));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, filterOutputSources(value, predicate)]));
+  }
+  return node;
+}
+
+/**
+ * 判断output.json中是否有IPv6源
+ */
+function hasIPv6Sources(output) {
+  return flattenGroups(output).some(({ channels }) =>
+    channels.some(channel => channel.sources.some(source => isIPv6Url(getSourceUrl(source) || ''))));
+}
+
+/**
+ * 获取IPv4/IPv6分版本的文件路径，如 output.m3u -> output-ipv4.m3u
+ */
+function getVariantPath(filePath, variant) {
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - ext.length)}-${variant}${ext}`;
+}
+
+/**
+ * 写入IPv4/IPv6分版本的播放列表；输出中没有IPv6源时删除之前生成的分版本文件
+ */
+async function exportVariantPlaylists(output, channelData, m3uPath, txtPath, m3uOptions) {
+  const variants = [
+    { name: 'ipv4', predicate: url => !isIPv6Url(url) },
+    { name: 'ipv6', predicate: url => isIPv6Url(url) }
+  ];
+  const split = hasIPv6Sources(output);
+
+  for (const { name, predicate } of variants) {
+    const variantM3UPath = getVariantPath(m3uPath, name);
+    const variantTXTPath = getVariantPath(txtPath, name);
+    if (!split) {
+      await fsPromises.rm(variantM3UPath, { force: true });
+      await fsPromises.rm(variantTXTPath, { force: true });
+      continue;
+    }
+    const filtered = filterOutputSources(output, predicate);
+    await writeFileAtomic(variantM3UPath, buildM3U(filtered, channelData, m3uOptions), 'utf8');
+    await writeFileAtomic(variantTXTPath, buildTXT(filtered), 'utf8');
+    console.log(`✅ ${name.toUpperCase()}播放列表已导出: ${variantM3UPath}, ${variantTXTPath}`);
+  }
+}
+
+/**
+ * 输出配置的M3U中引用的节目单地址：相对于主播放列表所在目录（baseDir）的地址改为相对profilesDir（如 ../epg.xml.gz），
+ * 绝对地址保持不变
+ */
+function getProfileEpgUrl(epgUrl, baseDir, profilesDir) {
+  if (!epgUrl || epgUrl.startsWith('/') || /^[a-z][a-z0-9+.-]*:\/\//i.test(epgUrl)) return epgUrl;
+  return path.relative(profilesDir, path.join(baseDir, epgUrl)).split(path.sep).join('/');
+}
+
+/**
+ * 按channel.json的output_profiles写入每份输出（见output-profiles.js），文件为 profilesDir/<名称>.json|m3u|txt
+ */
+async function exportProfiles(output, channelData, profilesDir, m3uOptions) {
+  const profiles = getOutputProfiles(channelData);
+  if (profiles.length === 0) return;
+
+  await fsPromises.mkdir(profilesDir, { recursive: true });
+  for (const profile of profiles) {
+    const filtered = applyProfile(output, profile);
+    const builders = {
+      json: () => JSON.stringify(filtered, null, 2),
+      m3u: () => buildM3U(filtered, channelData, m3uOptions),
+      txt: () => buildTXT(filtered)
+    };
+    const files = [];
+    for (const format of profile.formats) {
+      const filePath = path.join(profilesDir, `${profile.name}.${format}`);
+      await writeFileAtomic(filePath, builders[format](), 'utf8');
+      files.push(path.basename(filePath));
+    }
+    console.log(`✅ 输出配置 ${profile.name} 已导出: ${files.join(', ')}`);
+  }
+}
+
+/**
+ * 导出播放列表：读取output.json和channel.json（传入options.channelData时直接使用，不读取configPath），写入output.m3u和output.txt；
+ * 输出中有IPv6源时另外写入只含IPv4源和只含IPv6源的 output-ipv4 / output-ipv6 两个版本；
+ * 配置了output_profiles时再按每份输出配置写入profilesDir
+ */
+async function exportPlaylists(options = {}) {
+  const {
+    outputPath = outputJsonPath,
+    configPath = channelJsonPath,
+    m3uPath = m3uOutputPath,
+    txtPath = txtOutputPath,
+    epgPath = epgOutputPath,
+    profilesDir = profilesOutputDir
+  } = options;
+
+  const { output } = await readOutput(outputPath);
+  if (!output) throw new Error(`输出文件不存在: ${outputPath}`);
+  let channelData = options.channelData || {};
+  if (!options.channelData) {
+    try {
+      channelData = JSON.parse(await fsPromises.readFile(configPath, 'utf8'));
+    } catch (err) {
+      console.warn(`⚠️ 读取频道配置失败，导出时不附带tvg元数据: ${err.message}`);
+    }
+  }
+
+  // 已生成节目单时在M3U中引用
+  const m3uOptions = { epgUrl: fs.existsSync(epgPath) ? getEpgPublicUrl(channelData) : null };
+  await writeFileAtomic(m3uPath, buildM3U(output, channelData, m3uOptions), 'utf8');
+  console.log(`✅ M3U播放列表已导出: ${m3uPath}`);
+  await writeFileAtomic(txtPath, buildTXT(output), 'utf8');
+  console.log(`✅ TXT播放列表已导出: ${txtPath}`);
+  await exportVariantPlaylists(output, channelData, m3uPath, txtPath, m3uOptions);
+  await exportProfiles(output, channelData, profilesDir, { ...m3uOptions, epgUrl: getProfileEpgUrl(m3uOptions.epgUrl, path.dirname(m3uPath), profilesDir) });
+}
+
+module.exports = {
+  buildM3U,
+  buildTXT,
+  filterOutputSources,
+  exportProfiles,
+  exportPlaylists
+};
+
+// 直接运行时等同于 cli.js export
+if (require.main === module) {
+  require('./cli').main(['export', ...process.argv.slice(2)]);
+}
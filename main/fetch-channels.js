@@ -1,641 +1,645 @@
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const fsPromises = fs.promises;
-const readline = require('readline');
 const path = require('path');
-
-// 路径配置（移除 completedFlagPath 定义）
+const { exportPlaylists } = require('./export-playlists');
+const { buildEpg, getEpgUrls } = require('./epg');
+const categories = require('./categories');
+const { lintConfigText, formatProblems } = require('./lint-channels');
+const { createChannelMatcher } = require('./normalize');
+const { requestWithRetry } = require('./http-client');
+const subscriptionCache = require('./subscription-cache');
+const { DEFAULT_MAX_MISSED_RUNS, DEFAULT_MAX_SOURCES, syncOutputWithConfig, mergeChannelSources, mergeDiscoveredChannels } = require('./merge');
+const { createUrlCanonicalizer, getSourceUrl, toSourceRecord } = require('./sources');
+const { createSourceRanker } = require('./ranking');
+const { createSourcePolicy } = require('./source-policy');
+const { getChannelOverrides } = require('./channel-overrides');
+const { getSubscriptions, createSubscriptionLookup, getRequestHeaders } = require('./subscriptions');
+const { buildSourceIndex, resolveChannels } = require('./source-index');
+const outputStore = require('./output-store');
+const { writeFileAtomic, withLock } = require('./atomic-file');
+const { buildRunReport, saveRunReport } = require('./run-report');
+const history = require('./history');
+const { sniffFormat, extractTvboxLinks } = require('./playlist-parser');
+
+// 路径配置（默认值，可以用命令行参数或环境变量覆盖，见cli.js）
 const channelJsonPath = path.join(__dirname, 'channel.json');
 const outputJsonPath = path.join(path.dirname(__dirname), 'output.json');
 const tempDir = path.join(path.dirname(__dirname), 'temp_subscriptions');
-const progressJsonPath = path.join(path.dirname(__dirname), 'progress.json');
 
 // 配置常量
-const MAX_CHANNELS_PER_RUN = 5; // 每次运行最多处理5个频道
 const MAX_RESPONSE_SIZE = 10 * 1024 * 1024; // 单个响应最大10MB
-const TEMP_FILE_FLAG = path.join(tempDir, '.download_complete'); // 标记临时文件已下载
+const DOWNLOAD_CONCURRENCY = 4; // 订阅并发下载数
+const DOWNLOAD_RETRIES = 3; // 订阅下载失败重试次数
+const MAX_REDIRECTS = 5; // 最多跟随的重定向次数
+const MAX_LINKED_PLAYLISTS = 10; // 单个TVBox配置最多下载的引用直播源数量
+// 订阅内容不应出现的响应类型（通常是错误页或防盗链图片）
+const REJECTED_CONTENT_TYPES = [/^text\/html/i, /^image\//i, /^video\//i];
+
+// 默认运行设置
+const DEFAULT_SETTINGS = {
+  configPath: channelJsonPath,
+  outputPath: outputJsonPath,
+  cacheDir: tempDir,
+  maxResponseSize: MAX_RESPONSE_SIZE,
+  downloadConcurrency: DOWNLOAD_CONCURRENCY,
+  downloadRetries: DOWNLOAD_RETRIES,
+  maxSources: DEFAULT_MAX_SOURCES,
+  maxMissedRuns: DEFAULT_MAX_MISSED_RUNS,
+  downloadMode: 'default', // default / refresh（忽略缓存）/ offline（只用缓存）
+  channels: [], // 只处理这些频道（任一别名），为空时处理全部
+  categories: [], // 只处理这些分类（键路径如 "cctv_channels.donghua_region" 或显示名称如 "央视频道"）
+  maxChannelDrop: outputStore.DEFAULT_MAX_CHANNEL_DROP, // 有源的频道数量减少超过该比例时拒绝保存output.json
+  force: false, // 跳过频道数量检查
+  dryRun: false, // 只计算结果，不写入output.json及其他输出文件
+  export: true, // run时生成节目单并导出播放列表
+  history: true, // 每次运行在history.jsonl末尾追加快照（见history.js）
+  historyRetentionDays: history.DEFAULT_RETENTION_DAYS, // history.jsonl保留最近多少天的快照，为0时不删除
+  // 以下用于程序化调用（见index.js）
+  config: null, // 频道配置对象，提供时不读取configPath
+  previousOutput: null, // 上次的输出对象，提供时不读取outputPath
+  files: null // 待解析的订阅文件 [{ path, format? }] 或路径列表，提供时不下载订阅
+};
 
 /**
- * 检查是否为IPv6地址
+ * 补全运行设置，未指定的输出文件路径按output.json所在目录推导
  */
-function isIPv6(url) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    return hostname.includes(':') || hostname.startsWith('[');
-  } catch (e) {
-    return false;
-  }
+function resolveSettings(settings = {}) {
+  const resolved = { ...DEFAULT_SETTINGS, ...settings };
+  const outputDir = path.dirname(resolved.outputPath);
+  const baseName = path.basename(resolved.outputPath, '.json');
+  return {
+    unmatchedPath: path.join(outputDir, 'unmatched-channels.json'),
+    reportPath: path.join(outputDir, 'check-report.json'),
+    runReportPath: path.join(outputDir, 'report.json'),
+    runSummaryPath: path.join(outputDir, 'report.md'),
+    historyPath: path.join(outputDir, 'history.jsonl'),
+    m3uPath: path.join(outputDir, `${baseName}.m3u`),
+    txtPath: path.join(outputDir, `${baseName}.txt`),
+    profilesDir: path.join(outputDir, 'profiles'),
+    epgPath: path.join(outputDir, 'epg.xml.gz'),
+    lockPath: `${resolved.outputPath}.lock`,
+    ...resolved
+  };
 }
 
 /**
- * 流式下载URL内容（限制大小）
- * 优化：增加User-Agent，适配部分反爬服务器
+ * 下载订阅内容（跟随重定向、失败重试、条件请求）
+ * cacheEntry中的ETag/Last-Modified会作为 If-None-Match / If-Modified-Since 发送，requestHeaders为订阅配置的请求头，
+ * 返回 { content, etag, lastModified, notModified }，content为响应体Buffer
  */
-async function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      }
-    };
-    const protocol = url.startsWith('https') ? https : http;
-    let receivedSize = 0;
-    const chunks = [];
-
-    const req = protocol.get(url, options, (res) => {
-      res.on('data', (chunk) => {
-        receivedSize += chunk.length;
-        if (receivedSize > MAX_RESPONSE_SIZE) {
-          req.destroy(new Error(`Response size exceeds ${MAX_RESPONSE_SIZE / 1024 / 1024}MB limit`));
-          return;
-        }
-        chunks.push(chunk);
-      });
+async function fetchUrl(url, cacheEntry = {}, settings = DEFAULT_SETTINGS, requestHeaders = {}) {
+  const headers = { ...requestHeaders };
+  if (cacheEntry.etag) headers['If-None-Match'] = cacheEntry.etag;
+  if (cacheEntry.lastModified) headers['If-Modified-Since'] = cacheEntry.lastModified;
+
+  const res = await requestWithRetry(url, {
+    timeout: 30000,
+    maxBytes: settings.maxResponseSize,
+    maxRedirects: MAX_REDIRECTS,
+    retries: settings.downloadRetries,
+    headers,
+    onRetry: ({ attempt, delay, reason }) => {
+      console.log(`  🔁 ${reason}，${Math.round(delay / 1000)}秒后第${attempt}次重试: ${url}`);
+    }
+  });
 
-      res.on('end', () => {
-        resolve(Buffer.concat(chunks).toString('utf8'));
-      });
+  if (res.status === 304) {
+    return { content: null, etag: cacheEntry.etag, lastModified: cacheEntry.lastModified, notModified: true };
+  }
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`HTTP ${res.status}`);
+  }
 
-      res.on('error', (err) => reject(err));
-    }).on('error', (err) => reject(err));
+  // 校验内容类型：拒绝HTML错误页、图片等非播放列表内容（内容按原始字节保存，gzip等格式在解析时解码）
+  const contentType = String(res.headers['content-type'] || '');
+  const content = res.body;
+  if (REJECTED_CONTENT_TYPES.some(pattern => pattern.test(contentType)) ||
+    /^\s*<(!doctype|html)/i.test(content.subarray(0, 512).toString('utf8'))) {
+    throw new Error(`Unexpected content type: ${contentType || 'unknown'}`);
+  }
+  if (!content.toString('utf8').trim()) {
+    throw new Error('Empty response');
+  }
 
-    // 设置超时
-    req.setTimeout(30000, () => {
-      req.destroy(new Error('Request timeout after 30s'));
-    });
-  });
+  return {
+    content,
+    etag: res.headers.etag || null,
+    lastModified: res.headers['last-modified'] || null,
+    notModified: false
+  };
 }
 
 /**
- * 检测文件格式（m3u/txt）
+ * 以有限并发依次处理列表，结果顺序与输入一致
  */
-function detectFormat(content) {
-  const trimmed = content.trim();
-  return trimmed.startsWith('#EXTM3U') ? 'm3u' : 'txt';
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
 }
 
 /**
- * 解析M3U文件，返回频道-URL映射
+ * 初始化/加载输出文件（主动创建空文件）
+ * 若文件不存在，先创建空的output.json，再返回基础结构；文件损坏时从备份恢复，备份也不可用时报错而不是覆盖
+ * 输出结构与channel.json声明的分类树保持一致：新增的分类自动补齐，已删除的频道会被移除
  */
-async function parseM3U(filePath) {
-  try {
-    const content = await fsPromises.readFile(filePath, 'utf8');
-    const channels = {};
-    const lines = content.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.startsWith('#EXTINF')) {
-        const nextLine = lines[i + 1] ? lines[i + 1].trim() : '';
-        if (nextLine && !nextLine.startsWith('#')) {
-          let channelName = '';
-          const tvgNameMatch = line.match(/tvg-name="([^"]+)"/);
-          const commaMatch = line.match(/,([^,]+)$/);
-          
-          if (tvgNameMatch) channelName = tvgNameMatch[1];
-          else if (commaMatch) channelName = commaMatch[1].trim();
-          
-          if (channelName && nextLine && !isIPv6(nextLine)) {
-            if (!channels[channelName]) channels[channelName] = [];
-            channels[channelName].push(nextLine);
-          }
-        }
-      }
+async function initOutputFile(channelData, settings = DEFAULT_SETTINGS) {
+  const { outputPath } = settings;
+  // 按分类树生成output的基础空结构
+  const emptyOutput = categories.buildEmptyOutput(channelData);
+
+  let output = settings.previousOutput ? JSON.parse(JSON.stringify(settings.previousOutput)) : null;
+  if (!output) {
+    const loaded = await outputStore.readOutput(outputPath);
+    output = loaded.output;
+    if (loaded.from === 'file') console.log('✅ 找到已存在的output.json，加载文件内容');
+    if (loaded.from === 'backup') console.log(`♻️  已从备份恢复: ${outputStore.getBackupPath(outputPath)}`);
+  }
+
+  if (output) {
+    const removed = syncOutputWithConfig(output, channelData);
+    if (removed.length > 0) {
+      console.log(`🗑️  已从输出中移除channel.json中不存在的频道: ${removed.join('、')}`);
     }
-    return channels;
-  } catch (err) {
-    console.error(`解析M3U失败: ${filePath} - ${err.message}`);
-    return {};
+    return output;
   }
-}
 
-/**
- * 解析TXT文件，返回频道-URL映射
- */
-async function parseTXT(filePath) {
+  // 文件不存在，主动创建空文件
+  if (settings.dryRun) {
+    console.log(`ℹ️  未找到output.json，预览模式下不创建: ${outputPath}`);
+    return emptyOutput;
+  }
+  console.log(`ℹ️  未找到output.json，正在创建空文件: ${outputPath}`);
   try {
-    const content = await fsPromises.readFile(filePath, 'utf8');
-    const channels = {};
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.includes(',') && !trimmedLine.startsWith('#')) {
-        const parts = trimmedLine.split(',');
-        if (parts.length >= 2) {
-          const channelName = parts[0].trim();
-          const url = parts.slice(1).join(',').trim();
-          
-          if (channelName && url && url.startsWith('http') && !isIPv6(url)) {
-            if (!channels[channelName]) channels[channelName] = [];
-            channels[channelName].push(url);
-          }
-        }
-      }
-    }
-    return channels;
-  } catch (err) {
-    console.error(`解析TXT失败: ${filePath} - ${err.message}`);
-    return {};
+    await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+    await writeFileAtomic(outputPath, JSON.stringify(emptyOutput, null, 2), 'utf8');
+    console.log('✅ 空的output.json已成功创建');
+    return emptyOutput;
+  } catch (writeErr) {
+    console.error(`❌ 创建output.json失败: ${writeErr.message}`);
+    console.error(`⚠️  检查路径权限: ${outputPath}`);
+    throw writeErr; // 抛出错误终止流程，避免后续写入失败
   }
 }
 
 /**
- * 完全匹配频道名称（用户修改后的逻辑，重命名函数避免混淆）
+ * 创建匹配频道所需的上下文：分类列表、频道名匹配器、频道过滤器、频道键 -> 分类路径（用于订阅分组提示）、
+ * 订阅配置查找和自动发现分类的键（按频道/分类过滤时不做自动发现）
  */
-function exactMatch(channelName, targetNames) {
-  const normalizedChannel = channelName.toLowerCase().replace(/[\s\-_]/g, '');
-  
-  for (const targetName of targetNames) {
-    const normalizedTarget = targetName.toLowerCase().replace(/[\s\-_]/g, '');
-    
-    if (normalizedChannel === normalizedTarget) {
-      return true;
+function createMatchContext(channelData, settings = DEFAULT_SETTINGS) {
+  const categoryList = categories.walkCategories(channelData);
+  const matcher = createChannelMatcher(categoryList.flatMap(category => category.channels));
+  const filter = categories.createChannelFilter(matcher, { channels: settings.channels, categories: settings.categories });
+  const channelPaths = new Map();
+  for (const category of categoryList) {
+    for (const channel of category.channels) {
+      const channelKey = categories.getChannelKey(channel);
+      if (!channelPaths.has(channelKey)) channelPaths.set(channelKey, category.path);
     }
   }
-  
-  return false;
+  return {
+    categoryList,
+    matcher,
+    filter,
+    channelPaths,
+    subscriptionLookup: createSubscriptionLookup(channelData),
+    discoverKey: filter.active ? null : categories.getAutoDiscoverCategory(channelData)
+  };
 }
 
 /**
- * 生成扩展的匹配名称（避免数组无限膨胀）
+ * 对照订阅源索引处理频道，合并到输出结构中（不写文件）
+ * settings.channels / settings.categories 不为空时只处理其中的频道（其余频道保持不变，也不做自动发现）
+ * 返回 { output, unmatched, previousCount, channels }，unmatched为未匹配的订阅频道名统计，previousCount为合并前有源的频道数量，
+ * channels为每个处理的频道的统计 [{ channel, category, subscriptions, sources_before, sources_after, added, updated, missed, evicted }]
  */
-function getExpandedNames(baseNames) {
-  const expanded = new Set([...baseNames]); // 去重
-  
-  for (const name of baseNames) {
-    const numberMatch = name.match(/(\d+)/);
-    if (numberMatch) {
-      const num = numberMatch[1];
-      expanded.add(name.replace(num, `-${num}`));
-      expanded.add(name.replace(num, num)); // 冗余但保留原有逻辑
+async function processChannels(channelData, index, runAt, settings = DEFAULT_SETTINGS) {
+  // 加载输出文件（确保文件已存在），创建URL规范化函数、源排序器和源过滤策略
+  const output = await initOutputFile(channelData, settings);
+  const previousCount = outputStore.countChannels(output);
+  const { categoryList, filter, discoverKey, subscriptionLookup } = createMatchContext(channelData, settings);
+  const canonicalize = createUrlCanonicalizer(channelData.url_canonicalization);
+  const ranker = createSourceRanker(channelData);
+  const policy = createSourcePolicy(channelData);
+  // 已有的源按提供它的第一个订阅的策略复查
+  const accept = record => policy(record, (record.subscription_ids || [])[0]) !== null;
+  const { sources, unmatched, discovered } = resolveChannels(index, {
+    canonicalize,
+    policy,
+    subscriptionOf: id => subscriptionLookup.get(id)
+  });
+
+  const totals = { added: 0, updated: 0, missed: 0, evicted: 0 }; // 统计本次源的变化
+  const channelStats = [];
+  const processed = new Set();
+  for (const category of categoryList) {
+    const node = categories.getCategoryNode(output, category.path);
+    for (const channel of category.channels) {
+      const channelKey = categories.getChannelKey(channel);
+      if (processed.has(channelKey) || !filter.includes(channelKey, category.path)) continue;
+      processed.add(channelKey);
+
+      let entry = node.find(item => categories.getChannelKey(item) === channelKey);
+      if (!entry) {
+        entry = { name: channel.name, sources: [] };
+        node.push(entry);
+      }
+
+      // 频道配置的屏蔽规则、最低清晰度、手动添加和置顶的源（见channel-overrides.js）
+      // 本次匹配到的源沿用已有记录中的检测结果判断清晰度
+      const overrides = getChannelOverrides(channel);
+      const previous = new Map(entry.sources.map(source => [canonicalize(getSourceUrl(source)), toSourceRecord(source)]));
+      const matched = (sources.get(channelKey) || []).filter(record => !overrides.isBlocked(record.url) &&
+        overrides.meetsQuality({ ...previous.get(canonicalize(record.url)), ...record }));
+      const sourcesBefore = entry.sources.length;
+      const stats = mergeChannelSources(entry, [...matched, ...overrides.extra], runAt, {
+        maxSources: overrides.maxSources || settings.maxSources,
+        maxMissedRuns: settings.maxMissedRuns,
+        canonicalize,
+        accept: record => !overrides.isBlocked(record.url) && overrides.meetsQuality(record) && accept(record),
+        pinned: overrides.pinned,
+        rank: channelSources => ranker.rank(channelSources, category.path)
+      });
+      Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+      channelStats.push({
+        channel: channelKey,
+        category: categories.getCategoryLabel(category.path),
+        subscriptions: [...new Set(matched.flatMap(record => record.subscription_ids))],
+        sources_before: sourcesBefore,
+        sources_after: entry.sources.length,
+        ...stats
+      });
+      if (entry.sources.length === 0) {
+        node.splice(node.indexOf(entry), 1);
+        console.log(`⚠️ 【${channelKey}】未匹配到任何源，跳过`);
+      } else {
+        console.log(`✅ 【${channelKey}】新增 ${stats.added}，更新 ${stats.updated}，本次未出现 ${stats.missed}，淘汰 ${stats.evicted}`);
+      }
     }
   }
-  
-  return [...expanded].slice(0, 50); // 限制最大数量，防止内存溢出
-}
 
-/**
- * 创建进度配置文件
- */
-function createProgressConfig(allChannels, tempFiles) {
-  const progress = {};
-  
-  for (const channel of allChannels) {
-    const channelKey = Array.isArray(channel.name) ? channel.name[0] : channel.name;
-    progress[channelKey] = {
-      name: channel.name,
-      pendingFiles: [...tempFiles],
-      processed: false
-    };
+  // 自动发现的频道按订阅分组归入单独的分类
+  if (discoverKey) {
+    if (!output[discoverKey] || typeof output[discoverKey] !== 'object' || Array.isArray(output[discoverKey])) {
+      output[discoverKey] = {};
+    }
+    const stats = mergeDiscoveredChannels(output[discoverKey], discovered, runAt, {
+      maxSources: settings.maxSources,
+      maxMissedRuns: settings.maxMissedRuns,
+      canonicalize,
+      accept,
+      rank: ranker.rank
+    });
+    Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+    const discoveredCount = Object.values(output[discoverKey]).reduce((sum, entries) => sum + entries.length, 0);
+    console.log(`🔎 自动发现 ${discoveredCount} 个频道（${Object.keys(output[discoverKey]).length} 个分组）`);
   }
-  
-  return progress;
-}
 
-/**
- * 保存进度配置（覆盖写入）
- */
-async function saveProgress(progress) {
-  await fsPromises.writeFile(progressJsonPath, JSON.stringify(progress, null, 2), 'utf8');
+  console.log(`✅ 共处理 ${processed.size} 个频道，源变化：新增 ${totals.added}，更新 ${totals.updated}，未出现 ${totals.missed}，淘汰 ${totals.evicted}`);
+  return { output, unmatched, previousCount, channels: channelStats };
 }
 
 /**
- * 加载进度配置
+ * 保存未匹配频道名报告（按出现次数降序），用于补充channel.json中的别名
  */
-async function loadProgress() {
-  try {
-    await fsPromises.access(progressJsonPath);
-    const content = await fsPromises.readFile(progressJsonPath, 'utf8');
-    return JSON.parse(content) || {};
-  } catch (e) {
-    return null;
-  }
+async function saveUnmatchedReport(unmatched, unmatchedPath) {
+  await writeFileAtomic(unmatchedPath, JSON.stringify(unmatched, null, 2), 'utf8');
+  console.log(`✅ 未匹配频道名报告已保存: ${unmatchedPath}（共 ${unmatched.length} 个）`);
 }
 
 /**
- * 初始化/加载输出文件（核心修改：主动创建空文件）
- * 若文件不存在，先创建空的output.json，再返回基础结构
+ * 下载订阅引用的播放列表（TVBox配置中的直播源地址），保存为 sub_<key>-<序号>.txt
+ * 单个地址下载失败时沿用上次的文件，返回引用记录 [{ name, url, file }]
  */
-async function initOutputFile() {
-  // 定义output的基础空结构
-  const emptyOutput = {
-    cctv_channels: { free_terrestrial_channel: [], donghua_region: [] },
-    provincial_satellite_channel: {
-      huabei_region: [], dongbei_region: [], huadong_region: [],
-      zhongnan_region: [], xinan_region: [], xibei_region: [],
-      characteristic_city_channel: []
-    },
-    digital_paid_channel: []
-  };
+async function downloadLinkedPlaylists(subscription, key, filePath, previousParts = [], settings = DEFAULT_SETTINGS) {
+  const content = await fsPromises.readFile(filePath);
+  if ((subscription.format || sniffFormat(content)) !== 'tvbox') return [];
 
+  let links;
   try {
-    // 检查文件是否存在
-    await fsPromises.access(outputJsonPath);
-    console.log(`✅ 找到已存在的output.json，加载文件内容`);
-    // 存在则读取并返回
-    const content = await fsPromises.readFile(outputJsonPath, 'utf8');
-    return JSON.parse(content) || emptyOutput;
+    links = extractTvboxLinks(content.toString('utf8'), subscription.url).slice(0, MAX_LINKED_PLAYLISTS);
   } catch (err) {
-    // 文件不存在，主动创建空文件
-    console.log(`ℹ️  未找到output.json，正在创建空文件: ${outputJsonPath}`);
+    console.warn(`  ⚠️ TVBox配置解析失败: ${subscription.url} - ${err.message}`);
+    return [];
+  }
+
+  const parts = [];
+  for (const [index, link] of links.entries()) {
+    const file = subscriptionCache.getCacheFileName(key, index + 1);
     try {
-      // 写入空结构到文件
-      await fsPromises.writeFile(outputJsonPath, JSON.stringify(emptyOutput, null, 2), 'utf8');
-      console.log(`✅ 空的output.json已成功创建`);
-      return emptyOutput;
-    } catch (writeErr) {
-      console.error(`❌ 创建output.json失败: ${writeErr.message}`);
-      console.error(`⚠️  检查路径权限: ${outputJsonPath}`);
-      throw writeErr; // 抛出错误终止流程，避免后续写入失败
+      const result = await fetchUrl(link.url, {}, settings, getRequestHeaders(subscription));
+      await writeFileAtomic(path.join(settings.cacheDir, file), result.content);
+      console.log(`  ✅ 已下载引用的直播源 ${link.name || link.url} 到 ${file}`);
+      parts.push({ ...link, file });
+    } catch (err) {
+      console.error(`  ❌ 引用的直播源下载失败: ${link.url} - ${err.message}`);
+      const previous = previousParts.find(part => part.url === link.url && part.file === file);
+      if (previous) parts.push(previous);
     }
   }
+  return parts;
 }
 
 /**
- * 保存输出文件（去重追加）
+ * 下载订阅文件（带缓存，缓存目录为settings.cacheDir）
+ * mode为 'refresh' 时忽略缓存全部重新下载，'offline' 时只使用缓存不联网；
+ * 默认模式下缓存未过期的订阅直接复用，过期的发送条件请求，上次失败的总是重新下载
+ * 返回待解析的文件列表 [{ path, format }]，format为订阅指定的格式（引用的播放列表自动识别）；
+ * 每个订阅处理完后调用 onSubscription({ id, name, region, url, status, size, fetched_at, error, used_cache }, 订阅序号)，
+ * status为 downloaded / not_modified / cached / failed / skipped
  */
-async function saveOutput(output) {
+async function downloadSubscriptions(subscriptions, mode = 'default', settings = DEFAULT_SETTINGS, onSubscription = () => {}) {
+  const { cacheDir } = settings;
+  console.log(`📥 下载订阅内容到临时文件（模式: ${mode}）...`);
+  const manifest = await subscriptionCache.loadCache(cacheDir);
+  await subscriptionCache.pruneCache(cacheDir, manifest, subscriptions);
+
+  const results = await mapWithConcurrency(subscriptions, settings.downloadConcurrency, async (subscription, index) => {
+    const { url } = subscription;
+    const key = subscriptionCache.getCacheKey(subscription);
+    const tempFilePath = path.join(cacheDir, subscriptionCache.getCacheFileName(key));
+    const fileExists = await fsPromises.access(tempFilePath).then(() => true).catch(() => false);
+    const entry = fileExists ? subscriptionCache.getCacheEntry(manifest, subscription) : null;
+    const filesOf = (parts = []) => [
+      { path: tempFilePath, format: subscription.format },
+      ...parts.map(part => ({ path: path.join(cacheDir, part.file) }))
+    ];
+    const notify = (status, fields = {}) => onSubscription({
+      id: subscription.id,
+      name: subscription.name || null,
+      region: subscription.region || null,
+      url,
+      status,
+      size: entry ? entry.size || null : null,
+      fetched_at: entry ? entry.fetchedAt || null : null,
+      error: null,
+      used_cache: false,
+      ...fields
+    }, index);
+
+    if (mode === 'offline') {
+      if (entry) {
+        console.log(`  📦 离线模式，使用缓存 ${path.basename(tempFilePath)}（抓取于 ${entry.fetchedAt}）`);
+        notify('cached', { used_cache: true });
+        return filesOf(entry.parts);
+      }
+      console.warn(`  ⚠️ 离线模式下无缓存，跳过: ${url}`);
+      notify('skipped', { error: '离线模式下无缓存' });
+      return null;
+    }
+    if (mode !== 'refresh' && subscriptionCache.isFresh(entry, subscription)) {
+      console.log(`  📦 缓存未过期，跳过下载: ${url}`);
+      notify('cached', { used_cache: true });
+      return filesOf(entry.parts);
+    }
+
+    console.log(`  正在下载: ${url}`);
+    const now = new Date().toISOString();
+    try {
+      const result = await fetchUrl(url, mode === 'refresh' || !entry ? {} : entry, settings, getRequestHeaders(subscription));
+      let hash = entry && entry.hash;
+      let size = entry && entry.size;
+      if (result.notModified) {
+        console.log(`  ✅ 未变更(304)，沿用 ${path.basename(tempFilePath)}`);
+      } else {
+        hash = subscriptionCache.hashContent(result.content);
+        size = result.content.length;
+        await writeFileAtomic(tempFilePath, result.content);
+        const unchanged = entry && entry.hash === hash ? '（内容未变化）' : '';
+        console.log(`  ✅ 已保存到 ${path.basename(tempFilePath)}${unchanged}`);
+      }
+      // 引用的播放列表更新频率通常高于配置本身，订阅未变更时也重新下载
+      const parts = await downloadLinkedPlaylists(subscription, key, tempFilePath, entry ? entry.parts : [], settings);
+      manifest[key] = {
+        url,
+        file: path.basename(tempFilePath),
+        status: 'ok',
+        fetchedAt: now,
+        hash,
+        size,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        ...(parts.length > 0 ? { parts } : {})
+      };
+      notify(result.notModified ? 'not_modified' : 'downloaded', { size, fetched_at: now });
+      return filesOf(parts);
+    } catch (err) {
+      console.error(`  ❌ 下载失败: ${url} - ${err.message}`);
+      // 记录失败状态，下次运行会重新下载；本次沿用上一份成功的文件
+      manifest[key] = { ...(entry || { url, file: path.basename(tempFilePath) }), status: 'failed', failedAt: now, error: err.message };
+      if (entry && entry.fetchedAt) {
+        console.log(`  ℹ️  沿用上次下载的 ${path.basename(tempFilePath)}（抓取于 ${entry.fetchedAt}）`);
+        notify('failed', { error: err.message, used_cache: true });
+        return filesOf(entry.parts);
+      }
+      notify('failed', { error: err.message });
+      return null;
+    }
+  });
+
   try {
-    await fsPromises.writeFile(outputJsonPath, JSON.stringify(output, null, 2), 'utf8');
-    console.log(`✅ output.json已更新: ${outputJsonPath}`);
+    await subscriptionCache.saveCache(cacheDir, manifest);
   } catch (err) {
-    console.error(`❌ 保存output.json失败: ${err.message}`);
-    throw err;
+    console.warn(`保存订阅缓存清单失败: ${err.message}`);
   }
+  return results.filter(Boolean).flat();
 }
 
 /**
- * 检查频道是否已存在于output中（去重）
+ * 读取并检查频道配置（settings.config 提供时检查该对象），有错误时抛出异常（在下载前发现配置问题）
  */
-function isChannelInOutput(output, channelName, channelData) {
-  const nameKey = Array.isArray(channelName) ? channelName[0] : channelName;
-  
-  // 检查CCTV频道
-  if (output.cctv_channels.free_terrestrial_channel.some(item => {
-    const itemKey = Array.isArray(item.name) ? item.name[0] : item.name;
-    return itemKey === nameKey;
-  })) return true;
-  
-  if (output.cctv_channels.donghua_region.some(item => {
-    const itemKey = Array.isArray(item.name) ? item.name[0] : item.name;
-    return itemKey === nameKey;
-  })) return true;
-  
-  // 检查省级卫视
-  const provincialRegions = [
-    'huabei_region', 'dongbei_region', 'huadong_region',
-    'zhongnan_region', 'xinan_region', 'xibei_region', 'characteristic_city_channel'
-  ];
-  
-  for (const region of provincialRegions) {
-    if (output.provincial_satellite_channel[region].some(item => {
-      const itemKey = Array.isArray(item.name) ? item.name[0] : item.name;
-      return itemKey === nameKey;
-    })) return true;
+async function loadChannelConfig(settings = DEFAULT_SETTINGS) {
+  console.log('📄 读取频道配置文件...');
+  const channelContent = settings.config
+    ? JSON.stringify(settings.config, null, 2)
+    : await fsPromises.readFile(settings.configPath, 'utf8');
+  const { problems, data } = lintConfigText(channelContent);
+  if (problems.length > 0) {
+    console.log(formatProblems(problems, settings.config ? 'config' : path.basename(settings.configPath)));
+  }
+  if (problems.some(problem => problem.severity === 'error')) {
+    throw new Error('频道配置检查未通过，请先修复（可运行 npm run lint -- --fix）');
   }
-  
-  // 检查付费频道
-  if (output.digital_paid_channel.some(item => {
-    const itemKey = Array.isArray(item.name) ? item.name[0] : item.name;
-    return itemKey === nameKey;
-  })) return true;
-  
-  return false;
+  return data;
 }
 
 /**
- * 处理单个频道（核心逻辑）
+ * 下载（或按模式从缓存读取）所有订阅，返回待解析的文件列表，没有可用文件时抛出异常
+ * options.onSubscription 接收每个订阅的下载结果（见downloadSubscriptions）
  */
-async function processSingleChannel(channelKey, channelProgress, channelData) {
-  console.log(`\n🔍 处理频道: ${JSON.stringify(channelProgress.name)}`);
-  console.log(`📁 待处理文件数: ${channelProgress.pendingFiles.length}`);
-  
-  const matchedSources = new Set();
-  const possibleNames = getExpandedNames(Array.isArray(channelProgress.name) ? channelProgress.name : [channelProgress.name]);
-  
-  // 遍历所有待处理文件
-  for (const filePath of channelProgress.pendingFiles) {
-    try {
-      // 检查文件是否存在
-      await fsPromises.access(filePath);
-      const content = await fsPromises.readFile(filePath, 'utf8');
-      const format = detectFormat(content);
-      
-      // 解析文件
-      const fileChannels = format === 'm3u' ? await parseM3U(filePath) : await parseTXT(filePath);
-      
-      // 匹配频道源（改用完全匹配）
-      for (const [fileChannelName, urls] of Object.entries(fileChannels)) {
-        if (exactMatch(fileChannelName, possibleNames)) {
-          urls.forEach(url => {
-            if (url && !isIPv6(url)) matchedSources.add(url);
-          });
-        }
-      }
-      
-      console.log(`  ✅ 已处理文件: ${path.basename(filePath)}`);
-    } catch (err) {
-      console.log(`  ❌ 文件处理失败: ${path.basename(filePath)} - ${err.message}`);
-    }
+async function fetchSubscriptions(channelData, settings = DEFAULT_SETTINGS, options = {}) {
+  // 初始化目录（增加权限容错）
+  if (!fs.existsSync(settings.cacheDir)) {
+    await fsPromises.mkdir(settings.cacheDir, { recursive: true, mode: 0o755 });
+    console.log(`✅ 临时目录已创建: ${settings.cacheDir}`);
   }
-  
-  // 返回匹配结果（去重）
-  const sourcesArray = [...matchedSources].slice(0, 100); // 限制每个频道的源数量
-  return sourcesArray.length > 0 ? {
-    name: channelProgress.name,
-    sources: sourcesArray
-  } : null;
-}
 
-/**
- * 获取频道在channelData中的分类
- */
-function getChannelCategory(channelName, channelData) {
-  const nameKey = Array.isArray(channelName) ? channelName[0] : channelName;
-  
-  // 辅助函数：按名称匹配频道
-  const matchChannel = (channelList) => {
-    if (!channelList) return false;
-    return channelList.some(chan => {
-      const chanKey = Array.isArray(chan.name) ? chan.name[0] : chan.name;
-      return chanKey === nameKey;
-    });
-  };
-  
-  // 检查分类
-  if (matchChannel(channelData.cctv_channels?.free_terrestrial_channel)) {
-    return { type: 'cctv', subType: 'free_terrestrial_channel' };
-  } else if (matchChannel(channelData.cctv_channels?.donghua_region)) {
-    return { type: 'cctv', subType: 'donghua_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.huabei_region)) {
-    return { type: 'provincial', subType: 'huabei_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.dongbei_region)) {
-    return { type: 'provincial', subType: 'dongbei_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.huadong_region)) {
-    return { type: 'provincial', subType: 'huadong_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.zhongnan_region)) {
-    return { type: 'provincial', subType: 'zhongnan_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.xinan_region)) {
-    return { type: 'provincial', subType: 'xinan_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.xibei_region)) {
-    return { type: 'provincial', subType: 'xibei_region' };
-  } else if (matchChannel(channelData.provincial_satellite_channel?.characteristic_city_channel)) {
-    return { type: 'provincial', subType: 'characteristic_city_channel' };
-  } else if (matchChannel(channelData.digital_paid_channel)) {
-    return { type: 'digital_paid' };
+  // 处理订阅地址（兼容纯字符串写法），跳过停用的订阅
+  const subscriptions = getSubscriptions(channelData);
+  if (subscriptions.length === 0) {
+    throw new Error((channelData.subscription_urls || []).length > 0 ? '所有订阅都已停用' : '未找到订阅地址');
+  }
+
+  const files = await downloadSubscriptions(subscriptions, settings.downloadMode, settings, options.onSubscription);
+  if (files.length === 0) {
+    throw new Error('订阅文件下载失败且无可用缓存');
   }
-  
-  return null;
+  return files;
 }
 
 /**
- * 下载订阅文件（仅首次运行下载）
- * 优化：增加GitHub Actions权限容错
+ * 解析订阅文件并匹配频道，非预览模式下写入output.json和未匹配频道名报告
+ * 返回 { output, unmatched, subscriptionEpgUrls, parsedFiles, channels }，
+ * parsedFiles为每个文件的解析结果 [{ subscriptionId, file, format, entries, channels, error }]，channels为频道统计（见processChannels）；
+ * options.onMatched 在保存前以同样的结果调用（保存失败时也能拿到匹配统计）
  */
-async function downloadSubscriptions(subscriptionUrls) {
-  // 检查是否已下载过
-  if (await fsPromises.access(TEMP_FILE_FLAG).then(() => true).catch(() => false)) {
-    console.log('✅ 订阅文件已下载，跳过下载步骤');
-    // 读取已有的临时文件
-    const tempFiles = [];
-    try {
-      const files = await fsPromises.readdir(tempDir);
-      for (const file of files) {
-        if (file.startsWith('sub_') && file.endsWith('.txt')) {
-          tempFiles.push(path.join(tempDir, file));
-        }
-      }
-    } catch (err) {
-      console.error(`读取临时文件失败: ${err.message}`);
-      return [];
+async function matchChannels(channelData, files, settings = DEFAULT_SETTINGS, options = {}) {
+  // 逐个流式解析订阅文件，解析的同时匹配频道名（每个文件只解析一次）
+  console.log('\n📦 解析订阅文件...');
+  const subscriptionEpgUrls = [];
+  const parsedFiles = [];
+  const { matcher, channelPaths, subscriptionLookup, discoverKey } = createMatchContext(channelData, settings);
+  const index = await buildSourceIndex(files, {
+    matcher,
+    subscriptionOf: id => subscriptionLookup.get(id),
+    categoryOf: channelKey => channelPaths.get(channelKey),
+    discover: Boolean(discoverKey),
+    onFile: ({ file, subscriptionId, format, entries, channels, epgUrls, error }) => {
+      if (error) console.log(`  ❌ 文件处理失败: ${file} - ${error.message}`);
+      else console.log(`  ✅ 已解析文件: ${file}（${format}，${entries} 个源）`);
+      if (epgUrls) subscriptionEpgUrls.push(...epgUrls);
+      parsedFiles.push(error ? { subscriptionId, file, error: error.message } : { subscriptionId, file, format, entries, channels });
     }
-    return tempFiles;
-  }
-  
-  // 开始下载
-  console.log('📥 下载订阅内容到临时文件...');
-  const tempFiles = [];
-  
-  for (let i = 0; i < subscriptionUrls.length; i++) {
-    const url = subscriptionUrls[i];
-    console.log(`  正在下载: ${url}`);
-    try {
-      const content = await fetchUrl(url);
-      const tempFilePath = path.join(tempDir, `sub_${i}.txt`);
-      await fsPromises.writeFile(tempFilePath, content, 'utf8');
-      tempFiles.push(tempFilePath);
-      console.log(`  ✅ 已保存到 ${path.basename(tempFilePath)}`);
-    } catch (err) {
-      console.error(`  ❌ 下载失败: ${url} - ${err.message}`);
+  });
+  console.log(`✅ 索引建立完成，匹配到 ${index.matched.size} 个频道，${index.unmatched.size} 个未匹配的频道名`);
+
+  // 对照索引一次处理所有频道（同一次运行的源使用相同的时间戳）
+  console.log('\n🚀 开始匹配所有频道...');
+  const runAt = new Date().toISOString();
+  const { output, unmatched, previousCount, channels } = await processChannels(channelData, index, runAt, settings);
+  const result = { output, unmatched, subscriptionEpgUrls, parsedFiles, channels };
+  if (options.onMatched) options.onMatched(result);
+  if (!settings.dryRun) {
+    // 保存输出文件（源的时间戳和淘汰计数每次都会变化）
+    await outputStore.saveOutput(output, settings.outputPath, {
+      previousCount,
+      maxChannelDrop: settings.maxChannelDrop,
+      force: settings.force
+    });
+    console.log(`✅ output.json已更新: ${settings.outputPath}`);
+    await saveUnmatchedReport(unmatched, settings.unmatchedPath);
+    if (settings.history) {
+      const channelKeys = categories.walkCategories(channelData)
+        .flatMap(category => category.channels.map(categories.getChannelKey));
+      await history.saveSnapshot(settings.historyPath, history.createSnapshot(output, { runAt, kind: 'run', channelKeys }), {
+        retentionDays: settings.historyRetentionDays
+      });
     }
   }
-  
-  // 创建下载完成标记
-  try {
-    await fsPromises.writeFile(TEMP_FILE_FLAG, JSON.stringify({ downloaded: new Date().toISOString() }), 'utf8');
-  } catch (err) {
-    console.warn(`创建下载标记失败: ${err.message}`);
-  }
-  return tempFiles;
+  return result;
 }
 
 /**
- * 处理一批频道（单次5个）
+ * 生成节目单并导出播放列表（只在配置了epg时生成节目单，offline模式下保留之前的节目单）
  */
-async function processBatchChannels(channelData, tempFiles) {
-  // 1. 加载最新进度配置
-  let progress = await loadProgress();
-  if (!progress) {
-    console.error('❌ 进度配置文件不存在，无法处理批量频道');
-    return false;
-  }
-
-  // 2. 获取待处理频道（未处理的块）
-  const pendingChannelKeys = Object.keys(progress).filter(key => !progress[key].processed);
-  console.log(`\n📊 当前待处理频道总数: ${pendingChannelKeys.length}`);
-  
-  // 3. 无待处理频道，返回完成状态
-  if (pendingChannelKeys.length === 0) {
-    return true;
-  }
-
-  // 4. 取前5个待处理频道（不足5个则取剩余全部）
-  const channelsToProcessKeys = pendingChannelKeys.slice(0, MAX_CHANNELS_PER_RUN);
-  console.log(`🔄 本次处理频道数: ${channelsToProcessKeys.length}`);
-
-  // 5. 加载输出文件（确保文件已存在）
-  const output = await initOutputFile();
-  let successAddedCount = 0; // 统计本次成功添加的频道数
-
-  // 6. 循环处理本次的频道
-  for (const channelKey of channelsToProcessKeys) {
-    const channelProgress = progress[channelKey];
-    console.log('\n' + '-'.repeat(60));
-    
-    // 处理单个频道
-    const channelResult = await processSingleChannel(channelKey, channelProgress, channelData);
-
-    // 处理匹配结果，添加到output
-    if (channelResult && !isChannelInOutput(output, channelResult.name, channelData)) {
-      // 获取频道分类
-      const category = getChannelCategory(channelResult.name, channelData);
-      if (category) {
-        // 添加到对应分类
-        if (category.type === 'cctv') {
-          output.cctv_channels[category.subType].push(channelResult);
-        } else if (category.type === 'provincial') {
-          output.provincial_satellite_channel[category.subType].push(channelResult);
-        } else if (category.type === 'digital_paid') {
-          output.digital_paid_channel.push(channelResult);
-        }
-        successAddedCount++;
-        console.log(`✅ 【${channelKey}】匹配成功，已加入输出队列`);
-      } else {
-        console.log(`⚠️ 【${channelKey}】未找到对应分类，跳过`);
-      }
-    } else if (!channelResult) {
-      console.log(`⚠️ 【${channelKey}】未匹配到任何源，跳过`);
-    } else {
-      console.log(`⚠️ 【${channelKey}】已存在于输出文件，跳过`);
-    }
-
-    // 从进度文件中删除当前处理完的频道块
-    delete progress[channelKey];
+async function exportOutputs(channelData, subscriptionEpgUrls, settings = DEFAULT_SETTINGS) {
+  if (channelData.epg && settings.downloadMode !== 'offline') {
+    console.log('\n📅 生成节目单...');
+    if (getEpgUrls(channelData, subscriptionEpgUrls).length === 0) console.log('⚠️ 未找到节目单地址，跳过');
+    else await buildEpg(channelData, { subscriptionEpgUrls, outputPath: settings.epgPath });
   }
 
-  // 7. 保存更新后的进度配置
-  await saveProgress(progress);
-  console.log(`\n✅ 进度配置已更新: ${progressJsonPath}`);
+  console.log('\n📺 导出播放列表...');
+  await exportPlaylists({
+    channelData,
+    outputPath: settings.outputPath,
+    m3uPath: settings.m3uPath,
+    txtPath: settings.txtPath,
+    epgPath: settings.epgPath,
+    profilesDir: settings.profilesDir
+  });
+}
 
-  // 8. 批量保存更新后的输出文件
-  if (successAddedCount > 0) {
-    await saveOutput(output);
-    console.log(`✅ 本次共成功添加 ${successAddedCount} 个频道，输出文件已更新`);
-  } else {
-    console.log(`ℹ️  本次无新频道添加到输出文件`);
+/**
+ * 执行抓取流程：检查配置、下载订阅、匹配频道，settings.export 为true时再生成节目单并导出播放列表
+ * settings见DEFAULT_SETTINGS（省略的项使用默认值），dryRun时不写入任何输出文件；出错时抛出异常
+ * 非预览模式下运行期间持有锁文件（settings.lockPath），避免两次运行同时写入
+ * 返回 { channelData, files, output, unmatched, subscriptionEpgUrls, report }，report为运行报告（见run-report.js），
+ * 非预览模式下保存到 settings.runReportPath / settings.runSummaryPath；运行失败时报告同样保存，并附在异常的report属性上
+ */
+async function run(options = {}) {
+  const settings = resolveSettings(options);
+  if (!settings.dryRun) {
+    return withLock(settings.lockPath, () => runUnlocked(settings));
   }
-
-  // 9. 提示剩余频道
-  const remaining = Object.keys(progress).length;
-  console.log(`\n📋 剩余待处理频道数: ${remaining}`);
-
-  return false; // 未完成所有处理
+  return runUnlocked(settings);
 }
 
 /**
- * 主函数（核心修改：提前初始化output.json）
+ * 执行抓取流程（不加锁）
  */
-async function main() {
-  try {
-    // 0. 【核心新增】提前初始化output.json（确保文件存在）
-    console.log('🔧 初始化output.json文件...');
-    await initOutputFile();
-
-    // 1. 初始化目录（增加权限容错）
-    try {
-      if (!fs.existsSync(tempDir)) {
-        await fsPromises.mkdir(tempDir, { recursive: true, mode: 0o755 });
-        console.log(`✅ 临时目录已创建: ${tempDir}`);
-      }
-    } catch (err) {
-      console.error(`创建临时目录失败: ${err.message}`);
-      process.exit(1);
-    }
-
-    // 2. 读取频道配置
-    console.log('\n📄 读取频道配置文件...');
-    let channelData;
-    try {
-      const channelContent = await fsPromises.readFile(channelJsonPath, 'utf8');
-      channelData = JSON.parse(channelContent);
-    } catch (err) {
-      console.error(`读取频道配置失败: ${err.message}`);
-      process.exit(1);
-    }
-    
-    // 3. 处理订阅URL
-    let subscriptionUrls = channelData.subscription_urls || [];
-    if (subscriptionUrls.length === 0) {
-      console.log('⚠️ 未找到订阅地址，程序退出');
-      process.exit(0);
-    }
-    if (typeof subscriptionUrls[0] === 'object' && subscriptionUrls[0].url) {
-      subscriptionUrls = subscriptionUrls.map(item => item.url);
-    }
-
-    // 4. 下载订阅文件（仅首次）
-    const tempFiles = await downloadSubscriptions(subscriptionUrls);
-    if (tempFiles.length === 0 && !await fsPromises.access(TEMP_FILE_FLAG).then(() => true).catch(() => false)) {
-      console.error('❌ 订阅文件下载失败且无历史文件，程序退出');
-      process.exit(1);
-    }
-
-    // 5. 收集所有频道（去重）
-    const allChannels = [];
-    const channelSet = new Set();
-    
-    // 辅助函数：添加频道（去重）
-    const addChannels = (channels) => {
-      if (!channels) return;
-      for (const channel of channels) {
-        const key = Array.isArray(channel.name) ? channel.name[0] : channel.name;
-        if (!channelSet.has(key)) {
-          channelSet.add(key);
-          allChannels.push(channel);
-        }
+async function runUnlocked(settings) {
+  const runAt = new Date().toISOString();
+  const downloads = [];
+  let matched = {};
+  const finishReport = async (error) => {
+    const report = buildRunReport({
+      runAt,
+      mode: settings.files ? 'files' : settings.downloadMode,
+      dryRun: settings.dryRun,
+      downloads: downloads.filter(Boolean),
+      parsedFiles: matched.parsedFiles,
+      channels: matched.channels,
+      unmatched: matched.unmatched,
+      error
+    });
+    if (!settings.dryRun) {
+      try {
+        await saveRunReport(report, { reportPath: settings.runReportPath, summaryPath: settings.runSummaryPath });
+      } catch (err) {
+        console.warn(`⚠️ 保存运行报告失败: ${err.message}`);
       }
-    };
-    
-    // 收集所有频道
-    addChannels(channelData.cctv_channels?.free_terrestrial_channel);
-    addChannels(channelData.cctv_channels?.donghua_region);
-    addChannels(channelData.provincial_satellite_channel?.huabei_region);
-    addChannels(channelData.provincial_satellite_channel?.dongbei_region);
-    addChannels(channelData.provincial_satellite_channel?.huadong_region);
-    addChannels(channelData.provincial_satellite_channel?.zhongnan_region);
-    addChannels(channelData.provincial_satellite_channel?.xinan_region);
-    addChannels(channelData.provincial_satellite_channel?.xibei_region);
-    addChannels(channelData.provincial_satellite_channel?.characteristic_city_channel);
-    addChannels(channelData.digital_paid_channel);
-
-    // 6. 初始化进度配置（首次运行）
-    let progress = await loadProgress();
-    if (!progress) {
-      progress = createProgressConfig(allChannels, tempFiles);
-      await saveProgress(progress);
-      console.log(`✅ 已创建进度配置文件: ${progressJsonPath}`);
     }
+    return report;
+  };
 
-    // 7. 核心修改：循环处理批次，直到所有频道完成
-    console.log('\n🚀 开始循环处理所有频道批次...');
-    let isAllCompleted = false;
-    while (!isAllCompleted) {
-      // 处理一批频道（5个），返回是否全部完成
-      isAllCompleted = await processBatchChannels(channelData, tempFiles);
-      
-      // 如果未完成，提示并进入下一轮循环
-      if (!isAllCompleted) {
-        console.log('\n🔄 准备处理下一批频道...');
-      }
+  try {
+    const channelData = await loadChannelConfig(settings);
+    const files = settings.files
+      ? settings.files.map(file => (typeof file === 'string' ? { path: file } : file))
+      : await fetchSubscriptions(channelData, settings, { onSubscription: (download, index) => { downloads[index] = download; } });
+    const { output, unmatched, subscriptionEpgUrls } = await matchChannels(channelData, files, settings, {
+      onMatched: result => { matched = result; }
+    });
+    if (settings.export && !settings.dryRun) {
+      await exportOutputs(channelData, subscriptionEpgUrls, settings);
     }
-
-    // 8. 所有频道处理完成（仅提示，不创建标记/删除文件）
-    console.log('\n🎉 所有频道处理完成！');
-    console.log(`ℹ️  output.json文件路径: ${outputJsonPath}`);
-    console.log('ℹ️  下次运行将重新初始化进度并再次处理所有频道');
-
-    console.log('\n' + '='.repeat(60));
-    console.log('✅ 全部处理流程完成！');
-
+    const report = await finishReport(null);
+    return { channelData, files, output, unmatched, subscriptionEpgUrls, report };
   } catch (err) {
-    console.error('\n❌ 程序执行错误:', err);
-    process.exit(1);
+    err.report = await finishReport(err);
+    throw err;
   }
 }
 
-// 启动程序
-main();
+module.exports = {
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  loadChannelConfig,
+  fetchSubscriptions,
+  matchChannels,
+  exportOutputs,
+  run
+};
+
+// 直接运行时等同于 cli.js run
+if (require.main === module) {
+  require('./cli').main(['run', ...process.argv.slice(2)]);
+}
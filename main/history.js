@@ -0,0 +1,279 @@
+/**
+ * 历史记录
+ * 每次运行（抓取或检测）在 history.jsonl 末尾追加一行快照，源地址只记录哈希以控制文件大小：
+ *   { "run_at": ISO时间, "kind": "run" | "check",
+ *     "channels": { 频道键: { "count": 源数量, "alive": [哈希], "dead": [哈希], "unchecked": [哈希] } },
+ *     "subscriptions": { 订阅id: 可用或未检测的源数量 } }
+ * alive / dead / unchecked 为上次检测可用、失效和未检测的源，为空时省略；没有源的频道记为 { "count": 0 }。
+ * 超过保留天数的快照在追加时删除。
+ * history 命令据此统计最近N天每个频道的可用率、状态反复变化的源、贡献存活源最多的订阅，以及目前没有可用源的频道
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const readline = require('readline');
+const categories = require('./categories');
+const { getSourceUrl, toSourceRecord } = require('./sources');
+const { writeFileAtomic } = require('./atomic-file');
+
+// 配置常量
+const DEFAULT_HISTORY_DAYS = 30; // 默认统计最近30天
+const DEFAULT_RETENTION_DAYS = 90; // 默认保留最近90天的快照
+const FLAPPING_THRESHOLD = 3; // 状态变化达到3次视为反复变化
+const MAX_LISTED = 20; // 每项最多列出的条数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 源地址的哈希（sha1的前10位）
+ */
+function hashUrl(url) {
+  return crypto.createHash('sha1').update(String(url)).digest('hex').slice(0, 10);
+}
+
+/**
+ * 源在快照中的健康状态：alive / dead / unchecked
+ */
+function getHealthState(source) {
+  if (!source.health || typeof source.health.ok !== 'boolean') return 'unchecked';
+  return source.health.ok ? 'alive' : 'dead';
+}
+
+/**
+ * 由输出结构生成快照，channelKeys为配置中的频道键（输出中没有的频道记为没有源）
+ */
+function createSnapshot(output, options = {}) {
+  const { runAt = new Date().toISOString(), kind = 'run', channelKeys = [] } = options;
+  const channels = {};
+  const subscriptions = {};
+  for (const channelKey of channelKeys) channels[channelKey] = { count: 0 };
+  categories.forEachOutputChannel(output, (entry) => {
+    const sources = (entry.sources || []).map(toSourceRecord);
+    const channel = { count: sources.length };
+    for (const source of sources) {
+      const state = getHealthState(source);
+      (channel[state] = channel[state] || []).push(hashUrl(getSourceUrl(source)));
+      if (state === 'dead') continue;
+      for (const id of source.subscription_ids || []) subscriptions[id] = (subscriptions[id] || 0) + 1;
+    }
+    channels[categories.getChannelKey(entry)] = channel;
+  });
+  return { run_at: runAt, kind, channels, subscriptions };
+}
+
+/**
+ * 解析一行快照，无法解析时返回null
+ */
+function parseSnapshot(line) {
+  try {
+    const snapshot = JSON.parse(line);
+    return snapshot && snapshot.channels ? snapshot : null;
+  } catch (err) {
+    // 写到一半的行（进程中途退出）
+    return null;
+  }
+}
+
+/**
+ * 追加一条快照
+ */
+async function appendHistory(historyPath, snapshot) {
+  await fsPromises.appendFile(historyPath, JSON.stringify(snapshot) + '\n', 'utf8');
+}
+
+/**
+ * 删除超过保留天数的快照和无法解析的行，没有需要删除的行时不改写文件
+ * 返回删除的快照数量
+ */
+async function trimHistory(historyPath, options = {}) {
+  const { retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now() } = options;
+  if (!retentionDays || !fs.existsSync(historyPath)) return 0;
+
+  const since = now - retentionDays * DAY_MS;
+  const kept = [];
+  let removed = 0;
+  for (const line of (await fsPromises.readFile(historyPath, 'utf8')).split('\n')) {
+    if (!line.trim()) continue;
+    const snapshot = parseSnapshot(line);
+    if (snapshot && new Date(snapshot.run_at).getTime() >= since) kept.push(line);
+    else removed++;
+  }
+  if (removed > 0) await writeFileAtomic(historyPath, kept.map(line => line + '\n').join(''), 'utf8');
+  return removed;
+}
+
+/**
+ * 追加快照并删除过期的快照，失败时只打印警告（历史记录不影响本次运行的结果）
+ * options.retentionDays 为保留天数（默认90，为0时不删除）
+ */
+async function saveSnapshot(historyPath, snapshot, options = {}) {
+  try {
+    await appendHistory(historyPath, snapshot);
+    await trimHistory(historyPath, options);
+  } catch (err) {
+    console.warn(`⚠️ 写入历史记录失败: ${err.message}`);
+  }
+}
+
+/**
+ * 按时间顺序读取快照，since为起始时间（毫秒时间戳，省略时读取全部）；文件不存在时返回空列表，无法解析的行跳过
+ */
+async function readHistory(historyPath, options = {}) {
+  const { since = 0 } = options;
+  if (!fs.existsSync(historyPath)) return [];
+
+  const snapshots = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(historyPath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const snapshot = parseSnapshot(line);
+    if (snapshot && new Date(snapshot.run_at).getTime() >= since) snapshots.push(snapshot);
+  }
+  return snapshots.sort((a, b) => new Date(a.run_at) - new Date(b.run_at));
+}
+
+/**
+ * 频道在快照中是否可用：至少有一个源且不是已知失效
+ */
+function isChannelAvailable(channel) {
+  return Boolean(channel) && ((channel.alive || []).length > 0 || (channel.unchecked || []).length > 0);
+}
+
+/**
+ * 统计快照（按时间顺序）
+ * 返回 {
+ *   from, to, snapshots,
+ *   uptime: [{ channel, uptime, available, total }]（按可用率升序），
+ *   flapping: [{ channel, hash, url, transitions }]（出现/消失、可用/失效的变化次数，按次数降序；
+ *     url由options.output中的源地址按哈希还原，已不在输出中的源为null），
+ *   subscriptions: [{ id, sources }]（最后一次快照中可用的源按订阅计数，按数量降序），
+ *   lost: [{ channel, lost_at }]（最后一次快照中没有可用源的频道，lost_at为最近一次失去全部源的快照时间，
+ *     统计范围内从未有过可用源的频道为null，排在最后）
+ * }，已从配置中删除的频道不参与统计
+ */
+function analyzeHistory(snapshots, options = {}) {
+  const { flappingThreshold = FLAPPING_THRESHOLD, output = null } = options;
+  if (snapshots.length === 0) {
+    return { from: null, to: null, snapshots: 0, uptime: [], flapping: [], subscriptions: [], lost: [] };
+  }
+
+  const channelKeys = new Set(snapshots.flatMap(snapshot => Object.keys(snapshot.channels)));
+  // 抓取时的快照包含配置中的全部频道，据此识别已删除的频道
+  const lastRun = [...snapshots].reverse().find(snapshot => snapshot.kind === 'run');
+  const isConfigured = channel => !lastRun || Object.prototype.hasOwnProperty.call(lastRun.channels, channel);
+  const uptime = [];
+  const flapping = [];
+  const lost = [];
+  for (const channel of channelKeys) {
+    if (!isConfigured(channel)) continue;
+    let available = 0;
+    let lostAt = null;
+    let wasAvailable = false;
+    const sourceStates = new Map(); // 源地址哈希 -> { state, transitions }
+    for (const snapshot of snapshots) {
+      const sources = snapshot.channels[channel] || {};
+      const isAvailable = isChannelAvailable(sources);
+      if (isAvailable) available++;
+      if (wasAvailable && !isAvailable) lostAt = snapshot.run_at;
+      wasAvailable = isAvailable;
+
+      // 源的状态：不在列表中为absent，否则为健康状态（未检测的源视为可用）
+      const present = new Map([
+        ...(sources.alive || []).map(hash => [hash, 'alive']),
+        ...(sources.unchecked || []).map(hash => [hash, 'alive']),
+        ...(sources.dead || []).map(hash => [hash, 'dead'])
+      ]);
+      for (const hash of new Set([...sourceStates.keys(), ...present.keys()])) {
+        const state = present.get(hash) || 'absent';
+        const previous = sourceStates.get(hash);
+        if (!previous) sourceStates.set(hash, { state, transitions: 0 });
+        else if (previous.state !== state) sourceStates.set(hash, { state, transitions: previous.transitions + 1 });
+      }
+    }
+
+    uptime.push({ channel, uptime: available / snapshots.length, available, total: snapshots.length });
+    if (!wasAvailable) lost.push({ channel, lost_at: lostAt });
+    for (const [hash, { transitions }] of sourceStates) {
+      if (transitions >= flappingThreshold) flapping.push({ channel, hash, url: null, transitions });
+    }
+  }
+
+  // 按哈希还原目前仍在输出中的源地址
+  if (output && flapping.length > 0) {
+    const urls = new Map();
+    categories.forEachOutputChannel(output, (entry) => {
+      for (const source of entry.sources || []) urls.set(hashUrl(getSourceUrl(source)), getSourceUrl(source));
+    });
+    for (const item of flapping) item.url = urls.get(item.hash) || null;
+  }
+
+  const latest = snapshots[snapshots.length - 1];
+
+  return {
+    from: snapshots[0].run_at,
+    to: latest.run_at,
+    snapshots: snapshots.length,
+    uptime: uptime.sort((a, b) => a.uptime - b.uptime || a.channel.localeCompare(b.channel)),
+    flapping: flapping.sort((a, b) => b.transitions - a.transitions),
+    subscriptions: Object.entries(latest.subscriptions || {})
+      .map(([id, sources]) => ({ id: /^\d+$/.test(id) ? Number(id) : id, sources }))
+      .sort((a, b) => b.sources - a.sources),
+    lost: lost.sort((a, b) => (a.lost_at === null) - (b.lost_at === null) || new Date(a.lost_at) - new Date(b.lost_at))
+  };
+}
+
+/**
+ * 读取最近days天的快照并统计；失去全部源的日期需要更早的记录，按全部历史计算
+ * options.output 为当前的输出结构，用于还原反复变化的源的地址
+ */
+async function getHistoryStats(historyPath, options = {}) {
+  const { days = DEFAULT_HISTORY_DAYS, now = Date.now() } = options;
+  const all = await readHistory(historyPath);
+  const since = now - days * DAY_MS;
+  const stats = analyzeHistory(all.filter(snapshot => new Date(snapshot.run_at).getTime() >= since), options);
+  stats.days = days;
+  stats.lost = analyzeHistory(all, options).lost;
+  return stats;
+}
+
+/**
+ * 格式化统计结果
+ */
+function formatHistoryStats(stats) {
+  if (stats.snapshots === 0) return `（最近 ${stats.days} 天没有历史记录）`;
+
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  const lines = [`📈 最近 ${stats.days} 天共 ${stats.snapshots} 次记录（${stats.from} ~ ${stats.to}）`, ''];
+
+  const unstable = stats.uptime.filter(item => item.uptime < 1);
+  lines.push(`频道可用率（${unstable.length} 个频道低于100%，共 ${stats.uptime.length} 个）:`);
+  unstable.slice(0, MAX_LISTED).forEach(item => {
+    lines.push(`  ${percent(item.uptime).padStart(6)}  ${item.channel}（${item.available}/${item.total}）`);
+  });
+
+  lines.push('', `状态反复变化的源（${stats.flapping.length} 个）:`);
+  stats.flapping.slice(0, MAX_LISTED).forEach(item => {
+    lines.push(`  ${String(item.transitions).padStart(3)} 次  ${item.channel}  ${item.url || `#${item.hash}（已不在输出中）`}`);
+  });
+
+  lines.push('', '贡献可用源最多的订阅（最近一次记录）:');
+  stats.subscriptions.slice(0, MAX_LISTED).forEach(item => lines.push(`  ${String(item.sources).padStart(5)}  订阅 ${item.id}`));
+
+  lines.push('', `目前没有可用源的频道（${stats.lost.length} 个）:`);
+  stats.lost.forEach(item => lines.push(`  ${item.lost_at ? item.lost_at.slice(0, 10) : '从未可用  '}  ${item.channel}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DAYS,
+  DEFAULT_RETENTION_DAYS,
+  hashUrl,
+  createSnapshot,
+  appendHistory,
+  trimHistory,
+  saveSnapshot,
+  readHistory,
+  analyzeHistory,
+  getHistoryStats,
+  formatHistoryStats
+};
@@ -0,0 +1,129 @@
+/**
+ * HLS播放列表
+ * 解析主播放列表中 #EXT-X-STREAM-INF 的码率、分辨率和编码，以及媒体播放列表的分片、媒体序号和结束标记；
+ * 间隔一段时间两次读取同一个媒体播放列表，根据媒体序号是否前进区分直播、点播（VOD）和循环播放的占位流
+ */
+
+// 分辨率高度对应的清晰度级别（标清1、高清2、全高清3、超高清4）
+const QUALITY_LEVELS = { sd: 1, hd: 2, fhd: 3, uhd: 4 };
+
+/**
+ * 解析属性列表，如 BANDWIDTH=5000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"
+ */
+function parseAttributeList(text) {
+  const attributes = {};
+  const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+/**
+ * 由 #EXT-X-STREAM-INF 属性生成子播放列表信息 { url, bandwidth, width, height, codecs }
+ */
+function toVariant(url, attributes) {
+  const [width, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+  return {
+    url,
+    bandwidth: Number(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH) || null,
+    width: width || null,
+    height: height || null,
+    codecs: attributes.CODECS || null
+  };
+}
+
+/**
+ * 解析HLS播放列表，内容不是播放列表时返回null
+ * 返回 { isMaster, variants, segments, mediaSequence, targetDuration, endList, playlistType }，地址均已解析为绝对地址
+ */
+function parsePlaylist(content, baseUrl) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+  if (!lines[0] || !lines[0].startsWith('#EXTM3U')) {
+    return null;
+  }
+
+  const playlist = { isMaster: false, variants: [], segments: [], mediaSequence: 0, targetDuration: null, endList: false, playlistType: null };
+  let variantAttributes = null;
+
+  for (const line of lines.slice(1)) {
+    if (!line) continue;
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      variantAttributes = parseAttributeList(line.slice('#EXT-X-STREAM-INF:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = Number(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = Number(line.slice('#EXT-X-TARGETDURATION:'.length)) || null;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      playlist.playlistType = line.slice('#EXT-X-PLAYLIST-TYPE:'.length).toUpperCase();
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (!line.startsWith('#')) {
+      const absoluteUrl = new URL(line, baseUrl).href;
+      if (variantAttributes) playlist.variants.push(toVariant(absoluteUrl, variantAttributes));
+      else playlist.segments.push(absoluteUrl);
+      variantAttributes = null;
+    }
+  }
+
+  playlist.isMaster = playlist.variants.length > 0;
+  return playlist;
+}
+
+/**
+ * 选择清晰度最高的子播放列表（先比较分辨率高度，再比较码率）
+ */
+function selectBestVariant(variants) {
+  return variants.reduce((best, variant) => {
+    if (!best) return variant;
+    if ((variant.height || 0) !== (best.height || 0)) return (variant.height || 0) > (best.height || 0) ? variant : best;
+    return (variant.bandwidth || 0) > (best.bandwidth || 0) ? variant : best;
+  }, null);
+}
+
+/**
+ * 比较两次读取的媒体播放列表，判断流的类型
+ * live：媒体序号前进或出现新的分片；placeholder：没有结束标记但序号不变或回退（循环播放的占位画面）；
+ * 有结束标记或 PLAYLIST-TYPE 为 VOD 时为 vod；second为空（未重新读取）时只能判断vod，否则返回null
+ */
+function getStreamType(first, second) {
+  if (first.endList || first.playlistType === 'VOD') return 'vod';
+  if (!second) return null;
+  if (second.endList) return 'vod';
+  if (second.mediaSequence > first.mediaSequence) return 'live';
+  if (second.mediaSequence === first.mediaSequence &&
+    second.segments[second.segments.length - 1] !== first.segments[first.segments.length - 1]) {
+    return 'live';
+  }
+  return 'placeholder';
+}
+
+/**
+ * 分辨率高度对应的清晰度级别，高度未知时返回0
+ */
+function getHeightLevel(height) {
+  if (!height) return 0;
+  if (height >= 2160) return 4;
+  if (height >= 1080) return 3;
+  if (height >= 720) return 2;
+  return 1;
+}
+
+/**
+ * 频道配置的 quality_min 转为清晰度级别：sd / hd / fhd / uhd 或分辨率高度（如720）；未配置时返回0
+ */
+function getQualityLevel(qualityMin) {
+  if (typeof qualityMin === 'number') return getHeightLevel(qualityMin);
+  return QUALITY_LEVELS[qualityMin] || 0;
+}
+
+module.exports = {
+  QUALITY_LEVELS,
+  parseAttributeList,
+  parsePlaylist,
+  selectBestVariant,
+  getStreamType,
+  getHeightLevel,
+  getQualityLevel
+};
@@ -0,0 +1,154 @@
+const https = require('https');
+const http = require('http');
+
+// 配置常量
+const DEFAULT_TIMEOUT = 30000; // 单次请求超时（毫秒）
+const DEFAULT_MAX_REDIRECTS = 5; // 最多跟随的重定向次数
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 响应体最大10MB
+const DEFAULT_RETRIES = 3; // 失败后最多重试次数
+const DEFAULT_RETRY_DELAY = 1000; // 首次重试等待（毫秒），之后按指数退避
+const MAX_RETRY_DELAY = 60000; // 单次重试最长等待（毫秒）
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * 发起GET请求（跟随重定向，限制读取字节数）
+ * 返回 { status, headers, body, finalUrl, latency, truncated }，latency为首字节延迟
+ * 超过maxBytes时：truncate为true则返回已读取部分，否则报错
+ */
+function request(url, options = {}, redirectCount = 0) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    truncate = false,
+    headers = {}
+  } = options;
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let protocol;
+    try {
+      protocol = new URL(url).protocol === 'https:' ? https : http;
+    } catch (e) {
+      reject(new Error(`Invalid URL: ${url}`));
+      return;
+    }
+
+    const req = protocol.get(url, { headers: { 'User-Agent': USER_AGENT, ...headers } }, (res) => {
+      const latency = Date.now() - startedAt;
+
+      // 跟随重定向
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+        res.resume();
+        if (redirectCount >= maxRedirects) {
+          reject(new Error(`Too many redirects (>${maxRedirects})`));
+          return;
+        }
+        let nextUrl;
+        try {
+          nextUrl = new URL(res.headers.location, url).href;
+        } catch (e) {
+          reject(new Error(`Invalid redirect location: ${res.headers.location}`));
+          return;
+        }
+        request(nextUrl, options, redirectCount + 1)
+          .then(result => resolve({ ...result, latency: result.latency + latency }))
+          .catch(reject);
+        return;
+      }
+
+      const chunks = [];
+      let receivedSize = 0;
+      let truncated = false;
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks),
+          finalUrl: url,
+          latency,
+          truncated
+        });
+      };
+
+      res.on('data', (chunk) => {
+        if (truncated) return;
+        receivedSize += chunk.length;
+        if (receivedSize > maxBytes && !truncate) {
+          req.destroy(new Error(`Response size exceeds ${maxBytes / 1024 / 1024}MB limit`));
+          return;
+        }
+        chunks.push(chunk);
+        // 达到读取上限后主动断开，已读取部分即为结果
+        if (receivedSize >= maxBytes) {
+          truncated = true;
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', (err) => {
+        if (!truncated) reject(err);
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timeout after ${timeout / 1000}s`));
+    });
+  });
+}
+
+/**
+ * 判断响应状态是否值得重试（服务端错误和限流）
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * 计算第attempt次重试前的等待时间：优先使用Retry-After，否则指数退避并加少量随机抖动
+ */
+function getRetryDelay(attempt, baseDelay, response) {
+  const retryAfter = response && parseInt(response.headers['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+  const delay = baseDelay * 2 ** attempt;
+  return Math.min(delay + Math.floor(Math.random() * delay * 0.25), MAX_RETRY_DELAY);
+}
+
+/**
+ * 带重试的GET请求
+ * 网络错误、超时、5xx和429会按指数退避重试；重试耗尽时返回最后一次响应或抛出最后一次错误
+ */
+async function requestWithRetry(url, options = {}) {
+  const { retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, onRetry } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let error = null;
+    try {
+      response = await request(url, options);
+      if (!isRetryableStatus(response.status)) return response;
+    } catch (err) {
+      error = err;
+    }
+
+    if (attempt >= retries) {
+      if (error) throw error;
+      return response;
+    }
+
+    const delay = getRetryDelay(attempt, retryDelay, response);
+    if (onRetry) onRetry({ attempt: attempt + 1, delay, reason: error ? error.message : `HTTP ${response.status}` });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  request,
+  requestWithRetry
+};
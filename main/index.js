@@ -0,0 +1,104 @@
+/**
+ * 程序化接口
+ * 引入时没有副作用（不读写文件、不联网、不退出进程）；
+ * run(options) 执行完整流程并返回结构化结果，其余为可以单独使用的各阶段函数
+ *
+ *   const { run } = require('./main');
+ *   const { output, unmatched } = await run({ config, files: ['playlist.m3u'], dryRun: true });
+ */
+
+const { DEFAULT_SETTINGS, resolveSettings, loadChannelConfig, fetchSubscriptions, matchChannels, exportOutputs, run } = require('./fetch-channels');
+const { parseExtinf, registerParser, getFormats, sniffFormat, parsePlaylistFile, parsePlaylistContent } = require('./playlist-parser');
+const { buildSourceIndex, resolveChannels } = require('./source-index');
+const { cleanName, normalizeName, createChannelMatcher } = require('./normalize');
+const categories = require('./categories');
+const { mergeChannelSources } = require('./merge');
+const { createSourceRanker } = require('./ranking');
+const { createSourcePolicy } = require('./source-policy');
+const { getSourceUrl, createUrlCanonicalizer } = require('./sources');
+const { getSubscriptions } = require('./subscriptions');
+const { buildM3U, buildTXT, exportPlaylists } = require('./export-playlists');
+const { getOutputProfiles, applyProfile } = require('./output-profiles');
+const { probeSource, checkOutput, runCheck } = require('./check-sources');
+const hls = require('./hls');
+const { lintConfigText, lintConfigFile } = require('./lint-channels');
+const { buildEpg, createEpgMerger } = require('./epg');
+const { diffOutputs, formatDiff } = require('./output-diff');
+const { createServer } = require('./serve');
+const { buildRunReport, formatRunSummary } = require('./run-report');
+const { createSnapshot, readHistory, trimHistory, analyzeHistory, getHistoryStats } = require('./history');
+const { validateOutput, readOutput, saveOutput } = require('./output-store');
+const { writeFileAtomic, withLock } = require('./atomic-file');
+
+module.exports = {
+  // 完整流程
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  run,
+  loadChannelConfig,
+  fetchSubscriptions,
+  matchChannels,
+  exportOutputs,
+
+  // 订阅解析
+  getSubscriptions,
+  parseExtinf,
+  registerParser,
+  getFormats,
+  sniffFormat,
+  parsePlaylistFile,
+  parsePlaylistContent,
+  buildSourceIndex,
+  resolveChannels,
+
+  // 频道名匹配与分类
+  cleanName,
+  normalizeName,
+  createChannelMatcher,
+  getChannelKey: categories.getChannelKey,
+  getCategoryLabel: categories.getCategoryLabel,
+  walkCategories: categories.walkCategories,
+  findChannelCategory: categories.findChannelCategory,
+  forEachOutputChannel: categories.forEachOutputChannel,
+  createChannelFilter: categories.createChannelFilter,
+
+  // 源的合并、排序和过滤
+  getSourceUrl,
+  createUrlCanonicalizer,
+  createSourcePolicy,
+  createSourceRanker,
+  mergeChannelSources,
+
+  // 输出、检测和服务
+  buildM3U,
+  buildTXT,
+  exportPlaylists,
+  getOutputProfiles,
+  applyProfile,
+  probeSource,
+  parseHlsPlaylist: hls.parsePlaylist,
+  getStreamType: hls.getStreamType,
+  checkOutput,
+  runCheck,
+  lintConfigText,
+  lintConfigFile,
+  buildEpg,
+  createEpgMerger,
+  diffOutputs,
+  formatDiff,
+  createServer,
+  buildRunReport,
+  formatRunSummary,
+  createSnapshot,
+  readHistory,
+  trimHistory,
+  analyzeHistory,
+  getHistoryStats,
+
+  // 文件读写
+  validateOutput,
+  readOutput,
+  saveOutput,
+  writeFileAtomic,
+  withLock
+};
@@ -0,0 +1,453 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const Ajv = require('ajv');
+const { RESERVED_KEYS, getAutoDiscoverCategory, walkCategories, matchCategoryPath } = require('./categories');
+const { normalizeName } = require('./normalize');
+const schema = require('./channel.schema.json');
+const { writeFileAtomic } = require('./atomic-file');
+
+const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+
+// 路径配置
+const channelJsonPath = path.join(__dirname, 'channel.json');
+
+// 配置常量
+const MAX_FIX_PASSES = 5; // 自动修复最多迭代次数（修复后可能暴露新的可修复问题）
+const INVISIBLE_CHARS = /[\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g; // 零宽字符、方向控制符、软连字符
+
+/**
+ * 带位置信息的JSON解析
+ * 返回语法树节点：{ type, start, end, value, properties?, items? }，
+ * 对象节点的properties为 [{ key, keyNode, valueNode }]
+ */
+function parseJsonWithLocations(text, startOffset = 0) {
+  let i = startOffset;
+
+  const fail = (message) => {
+    const err = new Error(message);
+    err.offset = i;
+    throw err;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const parseString = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '\n') fail('字符串中存在未转义的换行');
+      i++;
+    }
+    if (i >= text.length) fail('字符串未闭合');
+    i++;
+    return { type: 'string', start, end: i, value: JSON.parse(text.slice(start, i)) };
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const start = i;
+    const ch = text[i];
+
+    if (ch === '{') {
+      i++;
+      const properties = [];
+      skipWhitespace();
+      if (text[i] === '}') {
+        i++;
+        return { type: 'object', start, end: i, properties };
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"') fail('此处应为属性名');
+        const keyNode = parseString();
+        skipWhitespace();
+        if (text[i] !== ':') fail('此处应为 ":"');
+        i++;
+        const valueNode = parseValue();
+        properties.push({ key: keyNode.value, keyNode, valueNode });
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] === '}') {
+          i++;
+          return { type: 'object', start, end: i, properties };
+        } else {
+          fail('此处应为 "," 或 "}"');
+        }
+      }
+    }
+
+    if (ch === '[') {
+      i++;
+      const items = [];
+      skipWhitespace();
+      if (text[i] === ']') {
+        i++;
+        return { type: 'array', start, end: i, items };
+      }
+      for (;;) {
+        items.push(parseValue());
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] === ']') {
+          i++;
+          return { type: 'array', start, end: i, items };
+        } else {
+          fail('此处应为 "," 或 "]"');
+        }
+      }
+    }
+
+    if (ch === '"') return parseString();
+
+    const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 64));
+    if (!literal) fail(i >= text.length ? '文件意外结束' : `无法识别的字符 "${ch}"`);
+    i += literal[0].length;
+    return { type: 'literal', start, end: i, value: JSON.parse(literal[0]) };
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (i < text.length) fail('JSON结束后存在多余内容');
+  return root;
+}
+
+/**
+ * 偏移量转换为行列号（均从1开始）
+ */
+function createPositionLocator(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * 转义JSON Pointer中的键
+ */
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * 建立 JSON Pointer -> 语法树节点 的索引
+ */
+function buildPointerIndex(node, pointer = '', index = new Map()) {
+  index.set(pointer, node);
+  if (node.type === 'object') {
+    for (const { key, valueNode } of node.properties) {
+      buildPointerIndex(valueNode, `${pointer}/${escapePointer(key)}`, index);
+    }
+  } else if (node.type === 'array') {
+    node.items.forEach((item, itemIndex) => buildPointerIndex(item, `${pointer}/${itemIndex}`, index));
+  }
+  return index;
+}
+
+/**
+ * 字符的Unicode码位表示，如 U+200C
+ */
+function describeChar(ch) {
+  return `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * 遍历语法树中的所有频道条目，回调参数为 (channelNode, location)
+ */
+function forEachChannelNode(root, callback) {
+  const walk = (node, location) => {
+    if (node.type === 'array') {
+      node.items.forEach((item, index) => {
+        if (item.type === 'object') callback(item, `${location}[${index}]`);
+      });
+    } else if (node.type === 'object') {
+      for (const { key, valueNode } of node.properties) {
+        walk(valueNode, `${location}.${key}`);
+      }
+    }
+  };
+  for (const { key, valueNode } of root.properties || []) {
+    if (!RESERVED_KEYS.includes(key)) walk(valueNode, key);
+  }
+}
+
+/**
+ * 获取频道条目的别名节点列表
+ */
+function getAliasNodes(channelNode) {
+  const nameProp = channelNode.properties.find(prop => prop.key === 'name');
+  if (!nameProp) return [];
+  const { valueNode } = nameProp;
+  if (valueNode.type === 'string') return [valueNode];
+  if (valueNode.type === 'array') return valueNode.items.filter(item => item.type === 'string');
+  return [];
+}
+
+/**
+ * 检查配置文本，返回问题列表
+ * 问题格式：{ severity: 'error'|'warning', rule, offset, message, fix? }，fix为文本替换 { start, end, text }
+ */
+function collectProblems(text) {
+  const problems = [];
+  const report = (severity, rule, offset, message, fix) => problems.push({ severity, rule, offset, message, fix });
+
+  // BOM会导致JSON.parse失败，单独处理
+  let startOffset = 0;
+  if (text.charCodeAt(0) === 0xFEFF) {
+    report('error', 'invisible-char', 0, '文件开头包含BOM', { start: 0, end: 1, text: '' });
+    startOffset = 1;
+  }
+
+  let root;
+  try {
+    root = parseJsonWithLocations(text, startOffset);
+  } catch (err) {
+    report('error', 'json-syntax', err.offset || 0, `JSON语法错误: ${err.message}`);
+    return { problems, data: null };
+  }
+  const data = JSON.parse(text.slice(startOffset));
+  const pointerIndex = buildPointerIndex(root);
+
+  // 1. JSON Schema 结构校验
+  if (!validateSchema(data)) {
+    for (const error of validateSchema.errors) {
+      // if/then/else 的汇总错误没有额外信息，只保留具体分支的错误
+      if (error.keyword === 'if') continue;
+      const node = pointerIndex.get(error.instancePath) || root;
+      const detail = error.params.additionalProperty ? `（未知字段 "${error.params.additionalProperty}"）` : '';
+      report('error', 'schema', node.start, `${error.instancePath || '/'} ${error.message}${detail}`);
+    }
+  }
+
+  // 2. 字符串中的不可见字符（键名和值）
+  for (const node of pointerIndex.values()) {
+    const stringNodes = node.type === 'object' ? node.properties.map(prop => prop.keyNode) : [];
+    if (node.type === 'string') stringNodes.push(node);
+    for (const stringNode of stringNodes) {
+      const found = stringNode.value.match(INVISIBLE_CHARS);
+      if (!found) continue;
+      const cleaned = stringNode.value.replace(INVISIBLE_CHARS, '');
+      report('error', 'invisible-char', stringNode.start,
+        `"${cleaned}" 包含不可见字符 ${[...new Set(found)].map(describeChar).join(', ')}`,
+        { start: stringNode.start, end: stringNode.end, text: JSON.stringify(cleaned) });
+    }
+  }
+
+  // 3. 频道别名：首尾空白、频道内重复、跨频道冲突、重复声明的频道
+  const channelKeys = new Map(); // 主名称 -> 位置
+  const aliasOwners = new Map(); // 归一化别名 -> { location, key }
+  forEachChannelNode(root, (channelNode, location) => {
+    const aliasNodes = getAliasNodes(channelNode);
+    if (aliasNodes.length === 0) return;
+    const key = aliasNodes[0].value;
+
+    if (channelKeys.has(key)) {
+      report('error', 'duplicate-channel', channelNode.start, `频道 "${key}" 已在 ${channelKeys.get(key)} 中声明`);
+      return;
+    }
+    channelKeys.set(key, location);
+
+    const seenInChannel = new Set();
+    aliasNodes.forEach((aliasNode, index) => {
+      const alias = aliasNode.value;
+      if (alias !== alias.trim()) {
+        report('warning', 'alias-whitespace', aliasNode.start, `别名 "${alias}" 首尾包含空白`,
+          { start: aliasNode.start, end: aliasNode.end, text: JSON.stringify(alias.trim()) });
+      }
+
+      const cleaned = alias.replace(INVISIBLE_CHARS, '').trim();
+      if (seenInChannel.has(cleaned)) {
+        // 删除该别名及其前面的逗号
+        const previous = aliasNodes[index - 1];
+        report('warning', 'duplicate-alias', aliasNode.start, `频道 "${key}" 中别名 "${cleaned}" 重复`,
+          previous ? { start: previous.end, end: aliasNode.end, text: '' } : undefined);
+        return;
+      }
+      seenInChannel.add(cleaned);
+
+      const normalized = normalizeName(cleaned);
+      const owner = aliasOwners.get(normalized);
+      if (owner && owner.key !== key) {
+        report('error', 'alias-conflict', aliasNode.start,
+          `别名 "${cleaned}" 与 ${owner.location} 的频道 "${owner.key}" 冲突，同一个订阅频道会同时匹配两者`);
+      } else if (!owner) {
+        aliasOwners.set(normalized, { location, key });
+      }
+    });
+  });
+
+  // 4. 频道匹配正则必须能编译
+  forEachChannelNode(root, (channelNode) => {
+    const patternsProp = channelNode.properties.find(prop => prop.key === 'patterns');
+    if (!patternsProp || patternsProp.valueNode.type !== 'array') return;
+    for (const patternNode of patternsProp.valueNode.items) {
+      if (patternNode.type !== 'string') continue;
+      try {
+        new RegExp(patternNode.value, 'i');
+      } catch (err) {
+        report('error', 'invalid-pattern', patternNode.start, `正则 "${patternNode.value}" 无效: ${err.message}`);
+      }
+    }
+  });
+
+  // 5. 订阅地址：重复的id和url，name_map的目标不是已配置的频道别名
+  const subscriptionsNode = pointerIndex.get('/subscription_urls');
+  if (subscriptionsNode && subscriptionsNode.type === 'array') {
+    const ids = new Map();
+    const urls = new Map();
+    subscriptionsNode.items.forEach((itemNode, index) => {
+      const item = data.subscription_urls[index];
+      const url = typeof item === 'string' ? item : item && item.url;
+      const id = item && typeof item === 'object' ? item.id : undefined;
+
+      if (id !== undefined) {
+        if (ids.has(id)) {
+          report('error', 'subscription-duplicate-id', itemNode.start, `订阅id ${id} 与 subscription_urls[${ids.get(id)}] 重复`);
+        } else {
+          ids.set(id, index);
+        }
+      }
+      if (typeof url === 'string') {
+        if (urls.has(url)) {
+          report('warning', 'subscription-duplicate-url', itemNode.start, `订阅地址与 subscription_urls[${urls.get(url)}] 重复`);
+        } else {
+          urls.set(url, index);
+        }
+      }
+      const nameMap = item && typeof item === 'object' && item.name_map;
+      if (nameMap && typeof nameMap === 'object') {
+        for (const [name, target] of Object.entries(nameMap)) {
+          if (typeof target === 'string' && !aliasOwners.has(normalizeName(target))) {
+            const targetNode = pointerIndex.get(`/subscription_urls/${index}/name_map/${escapePointer(name)}`) || itemNode;
+            report('warning', 'subscription-name-map-unknown', targetNode.start, `name_map 中 "${name}" 的目标 "${target}" 不是已配置的频道别名`);
+          }
+        }
+      }
+    });
+  }
+
+  // 6. 自动发现分类不能与配置中的分类重名
+  const discoverNode = pointerIndex.get('/auto_discover');
+  const discoverKey = getAutoDiscoverCategory(data);
+  if (discoverNode && discoverKey && Object.prototype.hasOwnProperty.call(data, discoverKey)) {
+    report('error', 'auto-discover-conflict', discoverNode.start, `自动发现分类 "${discoverKey}" 与已有分类重名`);
+  }
+
+  // 7. 输出配置引用的分类必须存在
+  const categoryPaths = walkCategories(data).map(category => category.path);
+  if (discoverKey) categoryPaths.push([discoverKey]);
+  for (const [name, profile] of Object.entries(data.output_profiles || {})) {
+    for (const listKey of ['include_categories', 'exclude_categories']) {
+      const categoryKeys = (profile && profile[listKey]) || [];
+      if (!Array.isArray(categoryKeys)) continue;
+      categoryKeys.forEach((categoryKey, index) => {
+        if (categoryPaths.some(categoryPath => matchCategoryPath(categoryPath, [categoryKey]))) return;
+        const keyNode = pointerIndex.get(`/output_profiles/${escapePointer(name)}/${listKey}/${index}`);
+        if (keyNode) report('warning', 'profile-category-unknown', keyNode.start, `输出配置 ${name} 的 ${listKey} 中 "${categoryKey}" 不是已配置的分类`);
+      });
+    }
+  }
+
+  return { problems, data };
+}
+
+/**
+ * 应用文本替换（从后往前，避免偏移量失效；重叠的替换只保留靠前的一个）
+ */
+function applyFixes(text, fixes) {
+  const sorted = [...fixes].sort((a, b) => b.start - a.start);
+  let result = text;
+  let lastStart = Infinity;
+  for (const fix of sorted) {
+    if (fix.end > lastStart) continue;
+    result = result.slice(0, fix.start) + fix.text + result.slice(fix.end);
+    lastStart = fix.start;
+  }
+  return result;
+}
+
+/**
+ * 检查配置文本（可选自动修复）
+ * 返回 { problems, text, data }，problems带有行列号，text为修复后的文本
+ */
+function lintConfigText(text, options = {}) {
+  let currentText = text;
+  let result = collectProblems(currentText);
+
+  if (options.fix) {
+    for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+      const fixes = result.problems.filter(problem => problem.fix).map(problem => problem.fix);
+      if (fixes.length === 0) break;
+      currentText = applyFixes(currentText, fixes);
+      result = collectProblems(currentText);
+    }
+  }
+
+  const locate = createPositionLocator(currentText);
+  const problems = result.problems
+    .map(problem => ({ ...problem, ...locate(problem.offset), fixable: Boolean(problem.fix) }))
+    .sort((a, b) => a.offset - b.offset);
+  return { problems, text: currentText, data: result.data };
+}
+
+/**
+ * 格式化问题列表为可读文本
+ */
+function formatProblems(problems, fileLabel) {
+  const lines = problems.map(problem => {
+    const severity = problem.severity === 'error' ? '错误' : '警告';
+    return `${fileLabel}:${problem.line}:${problem.column}  ${severity}  ${problem.message}  (${problem.rule})`;
+  });
+
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+  const fixableCount = problems.filter(problem => problem.fixable).length;
+  if (problems.length > 0) {
+    lines.push(`\n✖ 共 ${problems.length} 个问题（${errorCount} 个错误，${problems.length - errorCount} 个警告）` +
+      (fixableCount > 0 ? `，其中 ${fixableCount} 个可通过 --fix 自动修复` : ''));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 检查配置文件，fix为true时写回修复后的内容
+ * 返回 { problems, data, errorCount }
+ */
+async function lintConfigFile(filePath = channelJsonPath, options = {}) {
+  const text = await fsPromises.readFile(filePath, 'utf8');
+  const result = lintConfigText(text, options);
+  if (options.fix && result.text !== text) {
+    await writeFileAtomic(filePath, result.text, 'utf8');
+    console.log(`🔧 已自动修复并写回: ${filePath}`);
+  }
+  return {
+    problems: result.problems,
+    data: result.data,
+    errorCount: result.problems.filter(problem => problem.severity === 'error').length
+  };
+}
+
+module.exports = {
+  lintConfigText,
+  lintConfigFile,
+  formatProblems
+};
+
+// 直接运行时等同于 cli.js lint，配置文件路径也可以直接作为参数传入
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  require('./cli').main(['lint', ...args.filter(arg => arg !== filePath), ...(filePath ? [`--config=${filePath}`] : [])]);
+}
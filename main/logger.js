@@ -0,0 +1,46 @@
+/**
+ * 结构化日志
+ * 开启后 console.log / info / warn / error 的输出改为每行一个JSON对象 { time, level, message }，便于日志系统采集；
+ * 以 ❌ / ⚠️ 开头的消息分别按 error / warn 级别输出（各模块习惯用console.log打印这类消息）
+ */
+
+const util = require('util');
+
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * 根据消息开头的标记修正日志级别
+ */
+function getLevel(method, message) {
+  if (message.startsWith('❌')) return 'error';
+  if (message.startsWith('⚠️') && CONSOLE_LEVELS[method] !== 'error') return 'warn';
+  return CONSOLE_LEVELS[method];
+}
+
+/**
+ * 输出一条JSON日志，fields为附加字段
+ */
+function writeJsonLog(stream, level, message, fields = {}) {
+  stream.write(JSON.stringify({ time: new Date().toISOString(), level, message, ...fields }) + '\n');
+}
+
+/**
+ * 把console输出替换为JSON日志（分隔线和空行不输出），返回恢复原输出的函数
+ */
+function enableJsonLogs(stream = process.stdout) {
+  const originals = {};
+  for (const method of Object.keys(CONSOLE_LEVELS)) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const message = util.format(...args).trim();
+      if (!message || /^[=\-]+$/.test(message)) return;
+      writeJsonLog(stream, getLevel(method, message), message);
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+module.exports = {
+  writeJsonLog,
+  enableJsonLogs
+};
@@ -0,0 +1,170 @@
+/**
+ * output.json 增量合并
+ * 每个源记录 first_seen / last_seen（ISO时间）、本次来自哪些订阅（subscription_ids）
+ * 以及连续未出现的运行次数（missed_runs），连续多次未出现的源会被淘汰
+ */
+
+const categories = require('./categories');
+const { toSourceRecord, getSourceUrl } = require('./sources');
+
+// 配置常量
+const DEFAULT_MAX_MISSED_RUNS = 3; // 源连续未出现3次后淘汰
+const DEFAULT_MAX_SOURCES = 100; // 每个频道最多保留的源数量
+
+/**
+ * 让输出结构与channel.json保持一致：
+ * 按配置顺序重建分类树，已删除的频道/分类被移除，换了分类的频道移动到新位置；
+ * 启用自动发现时保留自动发现分类（该分类不在配置中，由 mergeDiscoveredChannels 维护）
+ * 返回被移除的频道键列表
+ */
+function syncOutputWithConfig(output, channelData) {
+  const discoverKey = categories.getAutoDiscoverCategory(channelData);
+  const discoveredNode = discoverKey ? output[discoverKey] : null;
+  if (discoveredNode) delete output[discoverKey];
+
+  const existing = new Map();
+  categories.forEachOutputChannel(output, (entry) => {
+    existing.set(categories.getChannelKey(entry), entry);
+  });
+
+  const synced = categories.buildEmptyOutput(channelData);
+  const kept = new Set();
+  for (const category of categories.walkCategories(channelData)) {
+    const node = categories.getCategoryNode(synced, category.path);
+    for (const channel of category.channels) {
+      const key = categories.getChannelKey(channel);
+      const entry = existing.get(key);
+      if (entry && !kept.has(key)) {
+        entry.name = channel.name;
+        node.push(entry);
+        kept.add(key);
+      }
+    }
+  }
+
+  // 原地替换，保留调用方持有的引用
+  for (const key of Object.keys(output)) delete output[key];
+  Object.assign(output, synced);
+  if (discoveredNode) output[discoverKey] = discoveredNode;
+  return [...existing.keys()].filter(key => !kept.has(key));
+}
+
+/**
+ * 将本次匹配到的源合并到频道条目中（原地修改entry.sources）
+ * 已有的源更新last_seen和subscription_ids，新源追加在末尾，本次未出现的源missed_runs加1并按阈值淘汰
+ * options.canonicalize 用于识别等价URL（等价的源合并为一条，URL更新为本次的地址），
+ * options.rank 在截取数量上限前对源排序，options.accept 返回false的已有源（如源过滤策略调整后不再允许的）直接淘汰，
+ * options.pinned 为置顶的源地址：总是保留、按配置顺序排在最前面（记录pinned: true），并占用数量上限
+ * （置顶的源达到或超过上限时全部保留，不再保留其他源）
+ * 返回 { added, updated, missed, evicted }
+ */
+function mergeChannelSources(entry, matchedSources, runAt, options = {}) {
+  const {
+    maxMissedRuns = DEFAULT_MAX_MISSED_RUNS,
+    maxSources = DEFAULT_MAX_SOURCES,
+    canonicalize = url => url,
+    rank = sources => sources,
+    accept = () => true,
+    pinned = []
+  } = options;
+  const stats = { added: 0, updated: 0, missed: 0, evicted: 0 };
+  const matchedByKey = new Map(matchedSources.map(source => [canonicalize(source.url), source]));
+  const pinnedByKey = new Map(pinned.map(url => [canonicalize(url), { url }]));
+  const seenKeys = new Set();
+  const merged = [];
+
+  for (const previous of entry.sources || []) {
+    const url = getSourceUrl(previous);
+    if (!url) continue;
+    // 规范化规则调整后，已有源中可能出现等价URL，只保留第一条
+    const key = canonicalize(url);
+    if (seenKeys.has(key)) continue;
+    seenKeys.add(key);
+    // 旧版本写入的纯字符串源没有来源信息，从本次开始记录；取消置顶的源去掉标记
+    const record = typeof previous === 'string' ? { url, first_seen: runAt } : { ...previous };
+    delete record.pinned;
+    if (pinnedByKey.has(key)) {
+      pinnedByKey.set(key, { ...record, url: pinnedByKey.get(key).url });
+      continue;
+    }
+    const matched = matchedByKey.get(key);
+
+    if (!matched && !accept(record)) {
+      stats.evicted++;
+    } else if (matched) {
+      // 元数据以本次解析结果为准，保留首次出现时间和检测结果
+      merged.push({ ...record, ...matched, first_seen: record.first_seen || runAt, last_seen: runAt, missed_runs: 0 });
+      matchedByKey.delete(key);
+      stats.updated++;
+    } else {
+      const missedRuns = (record.missed_runs || 0) + 1;
+      if (missedRuns >= maxMissedRuns) {
+        stats.evicted++;
+      } else {
+        merged.push({ ...record, missed_runs: missedRuns });
+        stats.missed++;
+      }
+    }
+  }
+
+  const pinnedSources = [];
+  for (const [key, record] of pinnedByKey) {
+    const matched = matchedByKey.get(key);
+    matchedByKey.delete(key);
+    if (record.first_seen) stats.updated++;
+    else stats.added++;
+    pinnedSources.push({
+      ...record,
+      ...(matched ? { ...matched, url: record.url } : { subscription_ids: [] }),
+      pinned: true,
+      first_seen: record.first_seen || runAt,
+      last_seen: runAt,
+      missed_runs: 0
+    });
+  }
+
+  for (const source of matchedByKey.values()) {
+    merged.push({ ...toSourceRecord(source), first_seen: runAt, last_seen: runAt, missed_runs: 0 });
+    stats.added++;
+  }
+
+  entry.sources = [...pinnedSources, ...rank(merged).slice(0, Math.max(maxSources - pinnedSources.length, 0))];
+  return stats;
+}
+
+/**
+ * 将自动发现的频道合并到自动发现分类（原地修改node，结构为 { 订阅分组名: [频道条目] }）
+ * discovered为 source-index.resolveChannels 返回的 Map<分组名, Map<频道名, 源记录[]>>，
+ * 已有频道同样按老化规则处理，源全部淘汰的频道和空分组会被移除
+ * 返回汇总的 { added, updated, missed, evicted }
+ */
+function mergeDiscoveredChannels(node, discovered, runAt, options = {}) {
+  const totals = { added: 0, updated: 0, missed: 0, evicted: 0 };
+  const groupNames = new Set([...Object.keys(node), ...discovered.keys()]);
+
+  for (const groupName of groupNames) {
+    const channels = discovered.get(groupName) || new Map();
+    const entries = Array.isArray(node[groupName]) ? node[groupName] : [];
+    const names = new Set([...entries.map(entry => entry.name), ...channels.keys()]);
+    const merged = [];
+
+    for (const name of names) {
+      const entry = entries.find(item => item.name === name) || { name, sources: [] };
+      const stats = mergeChannelSources(entry, channels.get(name) || [], runAt, options);
+      Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+      if (entry.sources.length > 0) merged.push(entry);
+    }
+
+    if (merged.length > 0) node[groupName] = merged;
+    else delete node[groupName];
+  }
+  return totals;
+}
+
+module.exports = {
+  DEFAULT_MAX_MISSED_RUNS,
+  DEFAULT_MAX_SOURCES,
+  syncOutputWithConfig,
+  mergeChannelSources,
+  mergeDiscoveredChannels
+};
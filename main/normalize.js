@@ -0,0 +1,121 @@
+/**
+ * 频道名称归一化与匹配
+ * 处理流程：全角转半角 -> 繁体转简体 -> 去除括号内容 -> 去除清晰度/画质标记 -> 小写并去除分隔符
+ */
+
+// 频道名称中常见的繁体字（只收录频道名会用到的字，不追求完整的繁简转换）
+const TRADITIONAL_PAIRS = (
+  '衛卫 衞卫 視视 臺台 灣湾 東东 廣广 電电 鳳凤 綜综 藝艺 體体 財财 經经 國国 際际 紀纪 錄录 劇剧 場场 ' +
+  '軍军 農农 業业 樂乐 兒儿 聞闻 動动 畫画 鷹鹰 優优 風风 雲云 懷怀 舊旧 時时 發发 現现 遊游 歷历 線线 ' +
+  '頻频 標标 華华 內内 遼辽 龍龙 蘇苏 慶庆 貴贵 陝陕 肅肃 寧宁 團团 設设 產产 廈厦 門门 戲戏 會会 與与 ' +
+  '奧奥 運运 環环 區区 購购 數数 學学 實实 戰战 車车 鐵铁 歡欢 萬万 達达 愛爱 黃黄 駿骏 馬马 資资 訊讯 ' +
+  '說说 書书 韓韩 語语 開开 邊边 陽阳 漢汉 齊齐 魯鲁 晉晋 豐丰 興兴 寶宝 園园 鄉乡 濟济 長长 紅红 網网 ' +
+  '娛娱 擊击 極极 亞亚 歐欧 鮮鲜 遠远 島岛 灘滩 館馆 導导 術术 選选 賽赛'
+).split(' ').reduce((map, pair) => map.set(pair[0], pair[1]), new Map());
+
+// 括号及其中内容，如 [1080p]、(备用)、【高清】
+const BRACKETED = /[[【(（「『《<][^\]】)）」』》>]*[\]】)）」』》>]/g;
+
+// 清晰度/编码标记：前面不能是字母或数字，避免把 CCTV14K 的 "4K" 当成标记；
+// 紧跟在 CCTV 后面的 4K/8K 是频道名（CCTV-4K、CCTV 8K），不作为标记去除
+const RESOLUTION_TAGS = /(?<![a-z0-9])(?:\d{3,4}[pi]|(?<!cctv[\s\-_]?)[248]k|hevc|h\.?26[45]|hdr|\d{2,3}fps)(?![a-z0-9])/gi;
+
+// 画质后缀：允许紧跟在数字后面，如 CCTV1HD
+const QUALITY_TAGS = /(?<![a-z])(?:u?f?hd|uhd|sd)(?![a-z0-9])/gi;
+
+// 中文画质/备注标记（超高清要排在高清前面）
+const CHINESE_TAGS = /超高清|高清|超清|标清|蓝光|频道/g;
+
+// 比较时忽略的分隔符（保留 "+"，CCTV-5 与 CCTV-5+ 是不同频道；逗号常见于 "湖南卫视, HD" 这类名称）
+const SEPARATORS = /[\s\-_·・.。:：,、'"|/\\]/g;
+
+/**
+ * 全角字符转半角
+ */
+function toHalfWidth(text) {
+  return text.replace(/[\uFF01-\uFF5E]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/\u3000/g, ' ');
+}
+
+/**
+ * 繁体转简体（仅覆盖频道名常用字）
+ */
+function toSimplified(text) {
+  let result = '';
+  for (const ch of text) {
+    result += TRADITIONAL_PAIRS.get(ch) || ch;
+  }
+  return result;
+}
+
+/**
+ * 清理频道名称：半角、简体、去除括号和画质标记，保留原有大小写和分隔符
+ * 用于正则规则匹配和未匹配名称报告
+ */
+function cleanName(name) {
+  const cleaned = toSimplified(toHalfWidth(String(name)))
+    .replace(/[\u200B-\u200F\u2060\uFEFF]/g, '')
+    .replace(BRACKETED, ' ')
+    .replace(RESOLUTION_TAGS, ' ')
+    .replace(QUALITY_TAGS, ' ')
+    .replace(CHINESE_TAGS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // 名称只由标记组成时保留原名，避免归一化成空字符串
+  return cleaned || String(name).trim();
+}
+
+/**
+ * 频道名称归一化键，如 "[1080p]CCTV１ HD" -> "cctv1"
+ */
+function normalizeName(name) {
+  return cleanName(name).toLowerCase().replace(SEPARATORS, '');
+}
+
+/**
+ * 根据频道配置创建匹配器
+ * 先按归一化别名精确匹配，未命中再按频道配置的 patterns 正则（不区分大小写，作用于清理后的名称）匹配；
+ * 精确命中其他频道别名的名称不会被正则抢走，因此 CCTV-5 的正则不会匹配 CCTV-5+
+ */
+function createChannelMatcher(channels) {
+  const exactIndex = new Map(); // 归一化别名 -> 频道键
+  const patternRules = [];
+
+  for (const channel of channels) {
+    const aliases = Array.isArray(channel.name) ? channel.name : [channel.name];
+    const key = aliases[0];
+    for (const alias of aliases) {
+      const normalized = normalizeName(alias);
+      if (!exactIndex.has(normalized)) exactIndex.set(normalized, key);
+    }
+    for (const pattern of channel.patterns || []) {
+      patternRules.push({ key, regex: new RegExp(pattern, 'i') });
+    }
+  }
+
+  const cache = new Map();
+  return {
+    /**
+     * 返回订阅频道名匹配到的频道键，未匹配返回null
+     */
+    match(name) {
+      if (cache.has(name)) return cache.get(name);
+      let key = exactIndex.get(normalizeName(name)) || null;
+      if (!key && patternRules.length > 0) {
+        const cleaned = cleanName(name);
+        const rule = patternRules.find(item => item.regex.test(cleaned));
+        key = rule ? rule.key : null;
+      }
+      cache.set(name, key);
+      return key;
+    }
+  };
+}
+
+module.exports = {
+  toHalfWidth,
+  toSimplified,
+  cleanName,
+  normalizeName,
+  createChannelMatcher
+};
@@ -0,0 +1,78 @@
+/**
+ * output.json 差异
+ * 按频道比较两份输出的源地址列表，用于 --dry-run 预览本次运行会带来的变化（只比较地址，不比较时间戳等元数据）
+ */
+
+const categories = require('./categories');
+const { getSourceUrl } = require('./sources');
+
+/**
+ * 按 "分类显示名 / 频道键" 收集每个频道的源地址列表
+ */
+function indexChannels(output) {
+  const channels = new Map();
+  categories.forEachOutputChannel(output || {}, (entry, categoryPath) => {
+    const label = `${categories.getCategoryLabel(categoryPath)} / ${categories.getChannelKey(entry)}`;
+    channels.set(label, (entry.sources || []).map(getSourceUrl).filter(Boolean));
+  });
+  return channels;
+}
+
+/**
+ * 比较两份输出
+ * 返回 [{ channel, type: 'added' | 'removed' | 'changed', added: [地址], removed: [地址], reordered }]，
+ * reordered表示源地址没有增删但顺序变化
+ */
+function diffOutputs(before, after) {
+  const beforeChannels = indexChannels(before);
+  const afterChannels = indexChannels(after);
+  const changes = [];
+
+  for (const [channel, urls] of afterChannels) {
+    const previous = beforeChannels.get(channel);
+    if (!previous) {
+      if (urls.length > 0) changes.push({ channel, type: 'added', added: urls, removed: [], reordered: false });
+      continue;
+    }
+    const added = urls.filter(url => !previous.includes(url));
+    const removed = previous.filter(url => !urls.includes(url));
+    const reordered = added.length === 0 && removed.length === 0 && urls.some((url, index) => url !== previous[index]);
+    if (added.length > 0 || removed.length > 0 || reordered) {
+      changes.push({ channel, type: 'changed', added, removed, reordered });
+    }
+  }
+  for (const [channel, urls] of beforeChannels) {
+    if (!afterChannels.has(channel) && urls.length > 0) {
+      changes.push({ channel, type: 'removed', added: [], removed: urls, reordered: false });
+    }
+  }
+  return changes;
+}
+
+/**
+ * 把差异格式化为可读文本：+ 新增，- 删除，~ 有变化的频道
+ */
+function formatDiff(changes) {
+  if (changes.length === 0) return '（无变化）';
+
+  const marks = { added: '+', removed: '-', changed: '~' };
+  const lines = [];
+  for (const change of changes) {
+    const counts = [];
+    if (change.added.length > 0) counts.push(`+${change.added.length}`);
+    if (change.removed.length > 0) counts.push(`-${change.removed.length}`);
+    if (change.reordered) counts.push('顺序变化');
+    lines.push(`${marks[change.type]} ${change.channel}（${counts.join('，')}）`);
+    change.added.forEach(url => lines.push(`    + ${url}`));
+    change.removed.forEach(url => lines.push(`    - ${url}`));
+  }
+
+  const count = type => changes.filter(change => change.type === type).length;
+  lines.push(`\n共 ${changes.length} 个频道有变化：新增 ${count('added')}，移除 ${count('removed')}，变化 ${count('changed')}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffOutputs,
+  formatDiff
+};
@@ -0,0 +1,123 @@
+/**
+ * 输出配置
+ * channel.json 的 output_profiles 按名称定义多份输出，每份由同一次匹配结果（output.json）裁剪生成，不重新下载和解析订阅：
+ *   include_categories / exclude_categories  包含、排除的分类（键路径或显示名称，均包含下级分类），include为空时包含全部
+ *   max_sources  每个频道最多保留的源数量
+ *   protocols    只保留这些协议的源，如 ["http", "https"]，为空时不限
+ *   ip_version   ipv4 / ipv6 只保留对应地址的源，any（默认）不限
+ *   sort         源的顺序：rank（默认，沿用output.json的排序）/ latency（按上次检测的延迟）/ resolution（清晰度从高到低）
+ *   formats      输出格式 json / m3u / txt，默认 m3u 和 txt
+ * 置顶的源在任何排序下都排在最前面
+ */
+
+const { getSourceUrl, toSourceRecord } = require('./sources');
+const { matchCategoryPath } = require('./categories');
+const { isIPv6Url } = require('./source-policy');
+const { getResolutionLevel } = require('./ranking');
+
+// 配置常量
+const DEFAULT_PROFILE = {
+  include_categories: [],
+  exclude_categories: [],
+  max_sources: null,
+  protocols: [],
+  ip_version: 'any',
+  sort: 'rank',
+  formats: ['m3u', 'txt']
+};
+
+/**
+ * 读取配置中的输出配置，返回 [{ name, ...profile }]（未配置的项使用默认值）
+ */
+function getOutputProfiles(channelData = {}) {
+  return Object.entries(channelData.output_profiles || {})
+    .map(([name, profile]) => ({ ...DEFAULT_PROFILE, ...profile, name }));
+}
+
+/**
+ * 按上次检测的延迟比较：可用源按延迟升序，其后是未检测的源，失效源在最后
+ */
+function compareLatency(a, b) {
+  const tier = source => (!source.health ? 1 : source.health.ok ? 0 : 2);
+  const latency = source => (source.health && source.health.latency) || 0;
+  return tier(a) - tier(b) || (tier(a) === 0 ? latency(a) - latency(b) : 0);
+}
+
+/**
+ * 按输出配置的顺序排列源（同等条件保持原顺序），置顶的源保持在最前面
+ */
+function sortSources(sources, order) {
+  const pinned = sources.filter(source => toSourceRecord(source).pinned);
+  const others = sources.filter(source => !toSourceRecord(source).pinned);
+  if (order === 'latency') {
+    others.sort((a, b) => compareLatency(toSourceRecord(a), toSourceRecord(b)));
+  } else if (order === 'resolution') {
+    others.sort((a, b) => getResolutionLevel(toSourceRecord(b)) - getResolutionLevel(toSourceRecord(a)));
+  }
+  return [...pinned, ...others];
+}
+
+/**
+ * 创建源过滤条件（协议和IP版本）
+ */
+function createSourceFilter(profile) {
+  const protocols = profile.protocols.map(protocol => `${protocol.toLowerCase()}:`);
+  return (source) => {
+    const url = getSourceUrl(source) || '';
+    if (protocols.length > 0) {
+      let protocol;
+      try {
+        protocol = new URL(url).protocol;
+      } catch (e) {
+        return false;
+      }
+      if (!protocols.includes(protocol)) return false;
+    }
+    if (profile.ip_version === 'ipv4' && isIPv6Url(url)) return false;
+    if (profile.ip_version === 'ipv6' && !isIPv6Url(url)) return false;
+    return true;
+  };
+}
+
+/**
+ * 按输出配置裁剪输出结构，返回新的结构（不修改原对象）；排除的分类整体去掉，频道只保留符合条件的源，没有符合条件的源的频道去掉
+ */
+function applyProfile(output, profile) {
+  const options = { ...DEFAULT_PROFILE, ...profile };
+  const accept = createSourceFilter(options);
+  const includes = (categoryPath) => {
+    if (options.include_categories.length > 0 && !matchCategoryPath(categoryPath, options.include_categories)) return false;
+    return !matchCategoryPath(categoryPath, options.exclude_categories);
+  };
+
+  const walk = (node, categoryPath) => {
+    if (Array.isArray(node)) {
+      return node
+        .map((item) => {
+          if (!item || !Array.isArray(item.sources)) return item;
+          const sources = sortSources(item.sources.filter(accept), options.sort);
+          return { ...item, sources: options.max_sources ? sources.slice(0, options.max_sources) : sources };
+        })
+        .filter(item => !item || !Array.isArray(item.sources) || item.sources.length > 0);
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(node || {})) {
+      const childPath = [...categoryPath, key];
+      // 数组是叶子分类，只有整个分类被包含时才保留；对象节点继续向下查找
+      if (Array.isArray(value)) {
+        if (includes(childPath)) result[key] = walk(value, childPath);
+      } else if (value && typeof value === 'object' && !matchCategoryPath(childPath, options.exclude_categories)) {
+        const child = walk(value, childPath);
+        if (Object.keys(child).length > 0) result[key] = child;
+      }
+    }
+    return result;
+  };
+  return walk(output, []);
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getOutputProfiles,
+  applyProfile
+};
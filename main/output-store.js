@@ -0,0 +1,128 @@
+/**
+ * output.json 的读取和保存
+ * 保存前校验结构，并在有源的频道数量骤降（通常是订阅大面积失效或网络故障）时拒绝写入；
+ * 通过校验的内容原子写入，同时另存为最近一次有效的备份（<名称>.last-good.json）；
+ * 读取时文件损坏则回退到备份，都不可用时报错，不会用空结构覆盖已有文件
+ */
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { getSourceUrl } = require('./sources');
+
+// 配置常量
+const DEFAULT_MAX_CHANNEL_DROP = 0.5; // 有源的频道数量最多允许减少50%
+const MAX_REPORTED_PROBLEMS = 5; // 结构问题最多列出的条数
+
+/**
+ * 备份文件路径，如 output.json -> output.last-good.json
+ */
+function getBackupPath(outputPath) {
+  return outputPath.replace(/(\.json)?$/, '.last-good.json');
+}
+
+/**
+ * 校验输出结构：根节点为对象，分类节点为对象或频道数组，频道有名称和源数组，源为地址字符串或带url的对象
+ * 返回问题列表（为空表示通过）
+ */
+function validateOutput(output) {
+  const problems = [];
+  const walk = (node, pathKeys) => {
+    const location = pathKeys.join('.') || '(根节点)';
+    if (Array.isArray(node)) {
+      node.forEach((entry, index) => {
+        const entryLocation = `${location}[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+          problems.push(`${entryLocation} 不是频道对象`);
+        } else if (!entry.name || (Array.isArray(entry.name) && entry.name.length === 0)) {
+          problems.push(`${entryLocation} 缺少频道名称`);
+        } else if (!Array.isArray(entry.sources)) {
+          problems.push(`${entryLocation} 缺少sources数组`);
+        } else if (entry.sources.some(source => typeof getSourceUrl(source) !== 'string')) {
+          problems.push(`${entryLocation} 存在无效的源`);
+        }
+      });
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) walk(value, [...pathKeys, key]);
+    } else {
+      problems.push(`${location} 不是分类对象或频道数组`);
+    }
+  };
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) return ['根节点必须是对象'];
+  walk(output, []);
+  return problems.slice(0, MAX_REPORTED_PROBLEMS);
+}
+
+/**
+ * 统计有源的频道数量
+ */
+function countChannels(node) {
+  if (Array.isArray(node)) {
+    return node.filter(entry => entry && Array.isArray(entry.sources) && entry.sources.length > 0).length;
+  }
+  if (node && typeof node === 'object') {
+    return Object.values(node).reduce((sum, value) => sum + countChannels(value), 0);
+  }
+  return 0;
+}
+
+/**
+ * 读取并校验JSON文件，失败时抛出异常
+ */
+async function readValidOutput(filePath) {
+  const output = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+  const problems = validateOutput(output);
+  if (problems.length > 0) throw new Error(`结构无效: ${problems.join('；')}`);
+  return output;
+}
+
+/**
+ * 读取output.json，返回 { output, from }：from为 'file'、'backup'（文件损坏时从备份恢复），
+ * 文件不存在时为 { output: null, from: null }；文件和备份都不可用时抛出异常
+ */
+async function readOutput(outputPath) {
+  try {
+    return { output: await readValidOutput(outputPath), from: 'file' };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { output: null, from: null };
+    console.warn(`⚠️ ${outputPath} 无法使用（${err.message}），尝试从备份恢复`);
+    const backupPath = getBackupPath(outputPath);
+    try {
+      return { output: await readValidOutput(backupPath), from: 'backup' };
+    } catch (backupErr) {
+      throw new Error(`${outputPath} 已损坏且没有可用的备份（${backupErr.message}），请手动修复或删除后重新运行`);
+    }
+  }
+}
+
+/**
+ * 保存output.json：校验结构和频道数量后原子写入，并更新备份
+ * options.previousCount 为修改前有源的频道数量，options.maxChannelDrop 为允许减少的比例（0-1），options.force 跳过数量检查
+ */
+async function saveOutput(output, outputPath, options = {}) {
+  const { previousCount = 0, maxChannelDrop = DEFAULT_MAX_CHANNEL_DROP, force = false } = options;
+  const problems = validateOutput(output);
+  if (problems.length > 0) {
+    throw new Error(`输出结构无效，未保存: ${problems.join('；')}`);
+  }
+
+  const count = countChannels(output);
+  if (!force && previousCount > 0 && count < previousCount * (1 - maxChannelDrop)) {
+    throw new Error(`有源的频道数量从 ${previousCount} 降到 ${count}，超过允许的 ${Math.round(maxChannelDrop * 100)}%，未保存（确认无误可使用 --force）`);
+  }
+
+  const content = JSON.stringify(output, null, 2);
+  await writeFileAtomic(outputPath, content, 'utf8');
+  await writeFileAtomic(getBackupPath(outputPath), content, 'utf8');
+  return count;
+}
+
+module.exports = {
+  DEFAULT_MAX_CHANNEL_DROP,
+  getBackupPath,
+  validateOutput,
+  countChannels,
+  readOutput,
+  saveOutput
+};
@@ -0,0 +1,417 @@
+/**
+ * 订阅文件解析
+ * 解析器注册表：每种订阅格式一个解析器，未指定格式时按注册顺序嗅探文件开头，第一个识别成功的解析器生效；
+ * 解码类格式（gzip、base64）解码后重新嗅探内容格式，M3U/TXT按行流式读取，大文件不会整体载入内存
+ * 所有解析器都回调 onEntry(频道名, 源记录, 分组名)，源记录统一为 { url, attributes?, vlc_options?, kodi_props?, label? }；
+ * 文件级信息（如M3U头中的节目单地址）由解析器写入meta，随解析结果一起返回
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+// 配置常量
+const SNIFF_BYTES = 4096; // 嗅探格式时读取的字节数
+const STREAM_URL = /^[a-z][a-z0-9+.-]*:\/\//i; // 带协议的播放地址（是否保留由源过滤策略决定）
+const MAX_DECODE_DEPTH = 3; // 最多嵌套解码的层数（如gzip内再套base64）
+const TXT_SEPARATOR = /,(?=\s*(?:[a-z][a-z0-9+.-]*:\/\/|#genre#))/i; // TXT中频道名与地址之间的逗号
+
+/**
+ * 嗅探用的文本：去掉BOM和开头空白
+ */
+function getHeadText(head) {
+  return head.toString('utf8').trimStart();
+}
+
+/**
+ * 解析 #EXTINF 行：返回时长、属性集合和逗号后的标题
+ * 标题从属性区之后第一个不在引号内的逗号开始，因此标题本身可以包含逗号
+ */
+function parseExtinf(line) {
+  const body = line.slice(line.indexOf(':') + 1);
+  let inQuote = false;
+  let commaIndex = -1;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') inQuote = !inQuote;
+    else if (body[i] === ',' && !inQuote) {
+      commaIndex = i;
+      break;
+    }
+  }
+
+  const head = commaIndex === -1 ? body : body.slice(0, commaIndex);
+  const title = commaIndex === -1 ? '' : body.slice(commaIndex + 1).trim();
+  const attributes = {};
+  for (const match of head.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[match[1].toLowerCase()] = match[2].trim();
+  }
+
+  return { duration: head.trim().split(/\s+/)[0], attributes, title };
+}
+
+/**
+ * 解析 "key=value" 形式的选项行（#EXTVLCOPT / #KODIPROP）
+ */
+function parseOptionLine(line) {
+  const body = line.slice(line.indexOf(':') + 1).trim();
+  const eqIndex = body.indexOf('=');
+  if (eqIndex <= 0) return null;
+  return [body.slice(0, eqIndex).trim(), body.slice(eqIndex + 1).trim()];
+}
+
+/**
+ * 拆分DIYP写法中地址后的 "$线路说明"，如 "http://a/1.m3u8$1080P" -> { url, label: '1080P' }
+ */
+function parseUrlWithLabel(text) {
+  const dollarIndex = text.lastIndexOf('$');
+  if (dollarIndex > 0 && !text.slice(dollarIndex).includes('/')) {
+    const label = text.slice(dollarIndex + 1).trim();
+    const url = text.slice(0, dollarIndex).trim();
+    return label ? { url, label } : { url };
+  }
+  return { url: text.trim() };
+}
+
+/**
+ * 从 #EXTM3U 头中读取节目单地址（x-tvg-url 或 url-tvg，多个地址用逗号分隔）
+ */
+function parseHeaderEpgUrls(line) {
+  const match = /\b(?:x-tvg-url|url-tvg)="([^"]*)"/i.exec(line);
+  const value = match ? match[1] : '';
+  return value.split(',').map(url => url.trim()).filter(url => /^https?:\/\//i.test(url));
+}
+
+/**
+ * 创建M3U逐行解析器
+ * 源记录保留 #EXTINF 的全部属性，以及条目下的 #EXTVLCOPT / #KODIPROP 选项；#EXTM3U 头中的节目单地址写入 meta.epgUrls
+ */
+function createM3UParser(onEntry, meta = {}) {
+  let entry = null;
+  let vlcOptions = {};
+  let kodiProps = {};
+
+  return (line) => {
+    if (line.startsWith('#EXTM3U')) {
+      meta.epgUrls = [...(meta.epgUrls || []), ...parseHeaderEpgUrls(line)];
+    } else if (line.startsWith('#EXTINF')) {
+      entry = parseExtinf(line);
+    } else if (line.startsWith('#EXTVLCOPT')) {
+      const option = parseOptionLine(line);
+      if (option) vlcOptions[option[0]] = option[1];
+    } else if (line.startsWith('#KODIPROP')) {
+      const option = parseOptionLine(line);
+      if (option) kodiProps[option[0]] = option[1];
+    } else if (!line.startsWith('#')) {
+      const channelName = entry && (entry.attributes['tvg-name'] || entry.title);
+      if (channelName) {
+        const source = { url: line };
+        if (Object.keys(entry.attributes).length > 0) source.attributes = entry.attributes;
+        if (Object.keys(vlcOptions).length > 0) source.vlc_options = vlcOptions;
+        if (Object.keys(kodiProps).length > 0) source.kodi_props = kodiProps;
+        onEntry(channelName, source, entry.attributes['group-title'] || '');
+      }
+      // 一个URL结束一个条目，选项不会带到下一个条目
+      entry = null;
+      vlcOptions = {};
+      kodiProps = {};
+    }
+  };
+}
+
+/**
+ * 创建TXT逐行解析器（"频道名,URL"，跳过注释行，"分组名,#genre#" 开始一个新分组）
+ * 频道名可以包含逗号（如 "湖南卫视, HD,http://..."），以地址前的逗号分隔；
+ * 兼容DIYP写法：一行多个地址用 "#" 分隔，地址后可带 "$线路说明"
+ */
+function createTXTParser(onEntry) {
+  let group = '';
+
+  return (line) => {
+    if (line.startsWith('#')) return;
+    const separator = TXT_SEPARATOR.exec(line);
+    const commaIndex = separator ? separator.index : line.lastIndexOf(',');
+    if (commaIndex <= 0) return;
+    const channelName = line.slice(0, commaIndex).trim();
+    const value = line.slice(commaIndex + 1).trim();
+    if (value.toLowerCase() === '#genre#') {
+      group = channelName;
+      return;
+    }
+    if (!channelName) return;
+
+    for (const part of value.split(/#(?=[a-z][a-z0-9+.-]*:\/\/)/i)) {
+      const source = parseUrlWithLabel(part);
+      if (STREAM_URL.test(source.url)) onEntry(channelName, source, group);
+    }
+  };
+}
+
+/**
+ * 解析TVBox配置JSON（允许整行的 // 注释）
+ */
+function parseTvboxConfig(text) {
+  const json = text.split('\n').filter(line => !line.trim().startsWith('//')).join('\n');
+  return JSON.parse(json);
+}
+
+/**
+ * 获取TVBox配置中的直播列表（lives数组，也兼容直接给出数组的写法）
+ */
+function getTvboxLives(config) {
+  const lives = Array.isArray(config) ? config : config && config.lives;
+  return Array.isArray(lives) ? lives.filter(live => live && typeof live === 'object') : [];
+}
+
+/**
+ * 解析TVBox的代理地址 "proxy://do=live&type=txt&ext=..."，ext为直播源地址（可能经过base64编码）
+ */
+function parseTvboxProxyUrl(url) {
+  const match = /[?&]ext=([^&]+)/.exec(url.replace(/^proxy:\/\//i, '?'));
+  if (!match) return null;
+  const ext = decodeURIComponent(match[1]);
+  if (/^https?:\/\//i.test(ext)) return ext;
+  const decoded = Buffer.from(ext, 'base64').toString('utf8').trim();
+  return /^https?:\/\//i.test(decoded) ? decoded : null;
+}
+
+/**
+ * 提取TVBox配置引用的直播源地址：lives[].url 以及 proxy:// 代理地址中的 ext
+ * 返回 [{ name, url }]，相对地址按配置地址补全
+ */
+function extractTvboxLinks(text, baseUrl) {
+  const links = [];
+  const addLink = (name, url) => {
+    if (!url) return;
+    try {
+      const resolved = new URL(url, baseUrl).href;
+      if (/^https?:/i.test(resolved) && !links.some(link => link.url === resolved)) {
+        links.push({ name: name || '', url: resolved });
+      }
+    } catch (e) {
+      // 无法解析的地址直接忽略
+    }
+  };
+
+  for (const live of getTvboxLives(parseTvboxConfig(text))) {
+    if (typeof live.url === 'string') {
+      const url = live.url.trim();
+      addLink(live.name, url.startsWith('proxy://') ? parseTvboxProxyUrl(url) : url);
+    }
+    for (const channel of Array.isArray(live.channels) ? live.channels : []) {
+      for (const url of Array.isArray(channel && channel.urls) ? channel.urls : []) {
+        if (typeof url === 'string' && url.startsWith('proxy://')) addLink(channel.name, parseTvboxProxyUrl(url));
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * 解析TVBox配置中直接写出的频道（lives[].channels[].urls），引用的直播源地址由下载阶段处理
+ */
+function parseTvboxChannels(text, onEntry) {
+  for (const live of getTvboxLives(parseTvboxConfig(text))) {
+    const group = live.group || live.name || '';
+    for (const channel of Array.isArray(live.channels) ? live.channels : []) {
+      if (!channel || typeof channel.name !== 'string') continue;
+      for (const url of Array.isArray(channel.urls) ? channel.urls : []) {
+        if (typeof url !== 'string') continue;
+        const source = parseUrlWithLabel(url);
+        if (STREAM_URL.test(source.url) && !source.url.startsWith('proxy://')) onEntry(channel.name.trim(), source, group);
+      }
+    }
+  }
+}
+
+/**
+ * 读取流的开头（用于嗅探解码后的内容），读够后关闭流
+ */
+async function readStreamHead(stream) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= SNIFF_BYTES) break;
+  }
+  stream.destroy();
+  return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+}
+
+/**
+ * 读取流的全部内容
+ */
+async function readStreamAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 读取文件开头
+ */
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 以内存中的Buffer作为解析输入
+ */
+function createBufferInput(buffer) {
+  return { head: buffer.subarray(0, SNIFF_BYTES), open: () => Readable.from([buffer]) };
+}
+
+// 解析器注册表（按嗅探顺序排列，兜底解析器始终在最后）
+const parsers = [];
+
+/**
+ * 注册解析器
+ * format为格式名（subscription_urls中 format 字段的取值），sniff(head)根据内容开头的Buffer判断格式，fallback表示兜底解析器；
+ * 另外提供以下之一：decode(input) 解码并返回新的输入 { head, open() }；createLineParser(onEntry, meta) 按行解析；
+ * parseText(text, onEntry, meta) 读取全部内容后解析
+ */
+function registerParser(parser) {
+  if (parsers.some(item => item.format === parser.format)) {
+    throw new Error(`订阅格式 ${parser.format} 已注册`);
+  }
+  const fallbackIndex = parsers.findIndex(item => item.fallback);
+  if (fallbackIndex === -1 || parser.fallback) parsers.push(parser);
+  else parsers.splice(fallbackIndex, 0, parser);
+}
+
+/**
+ * 获取指定格式的解析器
+ */
+function getParser(format) {
+  return parsers.find(parser => parser.format === format) || null;
+}
+
+/**
+ * 已注册的格式名
+ */
+function getFormats() {
+  return parsers.map(parser => parser.format);
+}
+
+/**
+ * 根据内容开头嗅探格式（传入完整内容时只取开头部分）
+ */
+function sniffFormat(content) {
+  const head = content.subarray(0, SNIFF_BYTES);
+  const parser = parsers.find(item => item.sniff(head));
+  return parser ? parser.format : null;
+}
+
+registerParser({
+  format: 'gzip',
+  sniff: head => head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b,
+  async decode(input) {
+    // pipeline保证提前停止读取（嗅探）时同时关闭底层文件流
+    const open = () => pipeline(input.open(), zlib.createGunzip(), () => {});
+    return { head: await readStreamHead(open()), open };
+  }
+});
+
+registerParser({
+  format: 'base64',
+  sniff(head) {
+    const text = head.toString('latin1').replace(/\s+/g, '');
+    if (text.length < 16 || !/^[A-Za-z0-9+/=_-]+$/.test(text)) return false;
+    // 解码开头一段，像播放列表文本（含逗号或#且没有乱码）才认为是base64
+    const sample = Buffer.from(text.slice(0, text.length - (text.length % 4)), 'base64').toString('utf8').slice(0, -3);
+    return /[,#]/.test(sample) && !sample.includes('\uFFFD');
+  },
+  async decode(input) {
+    const text = (await readStreamAll(input.open())).toString('latin1').replace(/\s+/g, '');
+    return createBufferInput(Buffer.from(text, 'base64'));
+  }
+});
+
+registerParser({
+  format: 'tvbox',
+  sniff: head => /^(?:\/\/[^\n]*\n\s*)*[{[]/.test(getHeadText(head)),
+  parseText: parseTvboxChannels
+});
+
+registerParser({
+  format: 'm3u',
+  sniff: head => /^#EXT(?:M3U|INF)/.test(getHeadText(head)),
+  createLineParser: createM3UParser
+});
+
+registerParser({
+  format: 'txt',
+  fallback: true,
+  sniff: () => true,
+  createLineParser: createTXTParser
+});
+
+/**
+ * 按指定格式（省略时嗅探）解析输入，解码类格式解码后递归解析
+ * 返回 { format, entries, epgUrls }，format为实际经过的格式链，如 "gzip+m3u"
+ */
+async function parseInput(input, onEntry, format, chain = []) {
+  const parser = getParser(format || sniffFormat(input.head));
+  if (!parser) throw new Error(`未知的订阅格式: ${format}`);
+  const formats = [...chain, parser.format];
+
+  if (parser.decode) {
+    if (formats.length > MAX_DECODE_DEPTH) throw new Error(`嵌套解码层数过多: ${formats.join('+')}`);
+    return parseInput(await parser.decode(input), onEntry, null, formats);
+  }
+
+  let entries = 0;
+  const countEntry = (name, source, group) => {
+    entries++;
+    onEntry(name, source, group);
+  };
+
+  const meta = {};
+  if (parser.createLineParser) {
+    const parseLine = parser.createLineParser(countEntry, meta);
+    const lines = readline.createInterface({ input: input.open(), crlfDelay: Infinity });
+    for await (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (line) parseLine(line);
+    }
+  } else {
+    parser.parseText((await readStreamAll(input.open())).toString('utf8'), countEntry, meta);
+  }
+  return { format: formats.join('+'), entries, epgUrls: meta.epgUrls || [] };
+}
+
+/**
+ * 解析订阅文件，options.format 指定格式（不指定时自动嗅探）
+ * 返回 { format, entries, epgUrls }（entries为解析出的源数量，epgUrls为订阅自带的节目单地址）
+ */
+async function parsePlaylistFile(filePath, onEntry, options = {}) {
+  const head = await readFileHead(filePath);
+  return parseInput({ head, open: () => fs.createReadStream(filePath) }, onEntry, options.format);
+}
+
+/**
+ * 解析内存中的订阅内容（Buffer或字符串），options与parsePlaylistFile相同
+ */
+async function parsePlaylistContent(content, onEntry, options = {}) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+  return parseInput(createBufferInput(buffer), onEntry, options.format);
+}
+
+module.exports = {
+  parseExtinf,
+  parseOptionLine,
+  registerParser,
+  getFormats,
+  sniffFormat,
+  extractTvboxLinks,
+  parsePlaylistFile,
+  parsePlaylistContent
+};
@@ -0,0 +1,95 @@
+/**
+ * 频道源排序
+ * 按 channel.json 中 source_ranking.weights 配置的权重给每个源打分，分数高的排在前面（同分保持原顺序）
+ * 评分信号：订阅优先级、提供该源的订阅数量、HTTPS、清晰度（优先使用检测到的HLS分辨率，其次是名称/URL中的标记）、
+ * 上次检测结果、检测到的点播或循环占位流、订阅分组与频道分类是否一致
+ */
+
+const { getSourceUrl, toSourceRecord } = require('./sources');
+const { getCategoryHint } = require('./categories');
+const { getSubscriptions } = require('./subscriptions');
+const { getHeightLevel } = require('./hls');
+
+// 配置常量
+const DEFAULT_WEIGHTS = {
+  subscription_priority: 1, // 每1点订阅优先级（取源所在订阅中最高的priority）
+  subscription_count: 2, // 每多1个订阅提供同一个源
+  https: 1, // HTTPS源
+  resolution: 1, // 每1级清晰度（标清1、高清2、全高清3、超高清4）
+  health: 5, // 上次检测可用加分，不可用减分
+  placeholder: 5, // 检测为点播（VOD）或循环播放的占位流时减分
+  group_hint: 1 // 源在订阅中的分组提示与频道所在分类一致（如卫视分组下的北京卫视）
+};
+
+// 清晰度标记（按级别从高到低匹配，作用于订阅中的频道名、线路说明和URL）
+const RESOLUTION_HINTS = [
+  { level: 4, regex: /(?<![a-z0-9])(?:2160[pi]?|[48]k|uhd)(?![a-z0-9])|超高清/i },
+  { level: 3, regex: /(?<![a-z0-9])(?:1080[pi]?|fhd)(?![a-z0-9])|蓝光/i },
+  { level: 2, regex: /(?<![a-z0-9])720[pi]?(?![a-z0-9])|(?<![a-z])hd(?![a-z])|高清|超清/i },
+  { level: 1, regex: /(?<![a-z0-9])(?:576[pi]?|480[pi]?)(?![a-z0-9])|(?<![a-z])sd(?![a-z])|标清/i }
+];
+
+/**
+ * 获取源的清晰度级别（0表示未知）：检测过的HLS源按分辨率高度，否则按名称/URL中的标记
+ */
+function getResolutionLevel(source) {
+  if (source.stream && source.stream.height) return getHeightLevel(source.stream.height);
+  const texts = [source.source_name, source.label, source.attributes && source.attributes['tvg-name']];
+  try {
+    texts.push(decodeURIComponent(new URL(source.url).pathname));
+  } catch (e) {
+    // URL无法解析时只看名称
+  }
+
+  const text = texts.filter(Boolean).join(' ');
+  const hint = RESOLUTION_HINTS.find(item => item.regex.test(text));
+  return hint ? hint.level : 0;
+}
+
+/**
+ * 根据频道配置创建排序器
+ * score(source, categoryPath) 返回源的分数，rank(sources, categoryPath) 返回按分数从高到低排序的新数组；
+ * categoryPath为频道所在的分类路径，省略时不计算分组提示
+ */
+function createSourceRanker(channelData = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...((channelData.source_ranking || {}).weights || {}) };
+  const priorities = new Map();
+  for (const subscription of getSubscriptions(channelData, { includeDisabled: true })) {
+    priorities.set(subscription.id, subscription.priority || 0);
+  }
+
+  const score = (value, categoryPath = []) => {
+    const source = toSourceRecord(value);
+    const url = getSourceUrl(source) || '';
+    const subscriptionIds = source.subscription_ids || [];
+    const priority = subscriptionIds.length > 0
+      ? Math.max(...subscriptionIds.map(id => priorities.get(id) || 0))
+      : 0;
+
+    let total = priority * weights.subscription_priority;
+    total += Math.max(subscriptionIds.length - 1, 0) * weights.subscription_count;
+    if (url.startsWith('https://')) total += weights.https;
+    total += getResolutionLevel(source) * weights.resolution;
+    if (source.health) total += source.health.ok ? weights.health : -weights.health;
+    if (source.stream && (source.stream.type === 'vod' || source.stream.type === 'placeholder')) total -= weights.placeholder;
+    const hint = getCategoryHint(source.group);
+    if (hint && categoryPath.includes(hint.category)) total += weights.group_hint;
+    return total;
+  };
+
+  return {
+    score,
+    rank(sources, categoryPath) {
+      return sources
+        .map((source, index) => ({ source, index, score: score(source, categoryPath) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(item => item.source);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  getResolutionLevel,
+  createSourceRanker
+};
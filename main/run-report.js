@@ -0,0 +1,193 @@
+/**
+ * 运行报告
+ * 汇总一次运行中每个订阅的下载状态、大小、格式和频道数，每个配置频道匹配到的订阅和前后的源数量，
+ * 失去全部源的频道以及出现最多的未匹配频道名；保存为 report.json，并生成可写入 $GITHUB_STEP_SUMMARY 的Markdown摘要
+ */
+
+const { writeFileAtomic } = require('./atomic-file');
+
+// 配置常量
+const TOP_UNMATCHED = 20; // 报告中列出的未匹配频道名数量
+
+// 订阅下载状态的显示名称
+const STATUS_LABELS = {
+  downloaded: '✅ 已下载',
+  not_modified: '✅ 未变更',
+  cached: '📦 使用缓存',
+  failed: '❌ 失败',
+  skipped: '⚠️ 跳过',
+  local: '📄 本地文件'
+};
+
+/**
+ * 按订阅汇总下载结果和解析结果
+ * downloads为 [{ id, name, region, url, status, size, fetched_at, error, used_cache }]，
+ * parsedFiles为 [{ subscriptionId, file, format, entries, channels, error }]（未经下载的文件按订阅id补充条目）
+ */
+function summarizeSubscriptions(downloads, parsedFiles) {
+  const subscriptions = downloads.map(download => ({ ...download, formats: [], sources: 0, channels: 0, files: [] }));
+  for (const parsed of parsedFiles) {
+    let subscription = subscriptions.find(item => item.id === parsed.subscriptionId);
+    if (!subscription) {
+      subscription = { id: parsed.subscriptionId, url: null, status: 'local', formats: [], sources: 0, channels: 0, files: [] };
+      subscriptions.push(subscription);
+    }
+    subscription.files.push(parsed.error
+      ? { file: parsed.file, error: parsed.error }
+      : { file: parsed.file, format: parsed.format, sources: parsed.entries, channels: parsed.channels });
+    if (parsed.error) continue;
+    if (!subscription.formats.includes(parsed.format)) subscription.formats.push(parsed.format);
+    subscription.sources += parsed.entries;
+    subscription.channels += parsed.channels;
+  }
+  return subscriptions;
+}
+
+/**
+ * 生成报告对象
+ * channels为 processChannels 返回的频道统计 [{ channel, category, subscriptions, sources_before, sources_after, ... }]，
+ * unmatched为未匹配频道名统计（按次数降序），error为运行失败时的异常
+ */
+function buildRunReport(options = {}) {
+  const {
+    runAt,
+    finishedAt = new Date().toISOString(),
+    mode = 'default',
+    dryRun = false,
+    downloads = [],
+    parsedFiles = [],
+    channels = [],
+    unmatched = [],
+    error = null
+  } = options;
+
+  const subscriptions = summarizeSubscriptions(downloads, parsedFiles);
+  const lostChannels = channels
+    .filter(channel => channel.sources_before > 0 && channel.sources_after === 0)
+    .map(({ channel, category, sources_before }) => ({ channel, category, sources_before }));
+  const sum = key => channels.reduce((total, channel) => total + (channel[key] || 0), 0);
+
+  return {
+    run_at: runAt,
+    finished_at: finishedAt,
+    status: error ? 'failed' : 'ok',
+    error: error ? error.message : null,
+    mode,
+    dry_run: dryRun,
+    totals: {
+      subscriptions: subscriptions.length,
+      failed_subscriptions: subscriptions.filter(item => item.status === 'failed' || item.status === 'skipped').length,
+      channels: channels.length,
+      channels_with_sources: channels.filter(channel => channel.sources_after > 0).length,
+      lost_channels: lostChannels.length,
+      sources_before: sum('sources_before'),
+      sources_after: sum('sources_after'),
+      added: sum('added'),
+      evicted: sum('evicted'),
+      unmatched_names: unmatched.length
+    },
+    subscriptions,
+    channels,
+    lost_channels: lostChannels,
+    top_unmatched: unmatched.slice(0, TOP_UNMATCHED)
+      .map(({ name, count, variants, subscription_ids }) => ({ name, count, variants, subscription_ids }))
+  };
+}
+
+/**
+ * 字节数转为可读的大小
+ */
+function formatSize(bytes) {
+  if (!bytes) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 转义Markdown表格单元格中的竖线和换行
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * 生成Markdown表格
+ */
+function formatTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * 生成Markdown摘要（适用于 $GITHUB_STEP_SUMMARY）：总览、订阅、失去全部源的频道、源数量有变化的频道和未匹配频道名
+ */
+function formatRunSummary(report) {
+  const { totals } = report;
+  const lines = [
+    `## 📺 直播源更新${report.status === 'ok' ? '完成' : '失败'}`,
+    '',
+    `- 运行时间: ${report.run_at} ~ ${report.finished_at}（模式: ${report.mode}${report.dry_run ? '，预览' : ''}）`,
+    `- 订阅: ${totals.subscriptions} 个，失败 ${totals.failed_subscriptions} 个`,
+    `- 频道: ${totals.channels_with_sources}/${totals.channels} 个有源，失去全部源 ${totals.lost_channels} 个`,
+    `- 源: ${totals.sources_before} → ${totals.sources_after}（新增 ${totals.added}，淘汰 ${totals.evicted}）`
+  ];
+  if (report.error) lines.push(`- ❌ 错误: ${report.error}`);
+
+  if (report.subscriptions.length > 0) {
+    lines.push('', '### 订阅', '', formatTable(
+      ['订阅', '状态', '大小', '格式', '源', '频道'],
+      report.subscriptions.map(item => [
+        item.name || item.url || item.id,
+        `${STATUS_LABELS[item.status] || item.status}${item.error ? `（${item.error}）` : ''}`,
+        formatSize(item.size),
+        item.formats.join('、') || '-',
+        item.sources,
+        item.channels
+      ])
+    ));
+  }
+
+  if (report.lost_channels.length > 0) {
+    lines.push('', '### ⚠️ 失去全部源的频道', '', formatTable(
+      ['频道', '分类', '之前的源'],
+      report.lost_channels.map(item => [item.channel, item.category, item.sources_before])
+    ));
+  }
+
+  const changed = report.channels.filter(channel => channel.sources_before !== channel.sources_after);
+  if (changed.length > 0) {
+    lines.push('', `<details><summary>源数量有变化的频道（${changed.length} 个）</summary>`, '', formatTable(
+      ['频道', '分类', '订阅', '源'],
+      changed.map(item => [item.channel, item.category, item.subscriptions.join(', ') || '-', `${item.sources_before} → ${item.sources_after}`])
+    ), '', '</details>');
+  }
+
+  if (report.top_unmatched.length > 0) {
+    lines.push('', `<details><summary>未匹配的频道名（前 ${report.top_unmatched.length} 个，共 ${totals.unmatched_names} 个）</summary>`, '', formatTable(
+      ['名称', '次数', '写法'],
+      report.top_unmatched.map(item => [item.name, item.count, item.variants.join('、')])
+    ), '', '</details>');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 保存报告：report.json 和Markdown摘要
+ */
+async function saveRunReport(report, options = {}) {
+  const { reportPath, summaryPath } = options;
+  await writeFileAtomic(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  if (summaryPath) await writeFileAtomic(summaryPath, formatRunSummary(report), 'utf8');
+  console.log(`✅ 运行报告已保存: ${reportPath}`);
+}
+
+module.exports = {
+  TOP_UNMATCHED,
+  buildRunReport,
+  formatRunSummary,
+  saveRunReport
+};
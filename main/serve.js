@@ -0,0 +1,216 @@
+/**
+ * 本地HTTP服务
+ * 提供 output.json、导出的M3U/TXT播放列表、profiles目录下的输出配置文件和节目单，以及 /channel/:name 跳转接口：
+ * 302跳转到频道当前最优的源（output.json中的顺序），跳转后在后台探测该源，探测失效的源在一段时间内跳过，改为跳转到下一个源；
+ * output.json 变化时自动重新加载
+ */
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const http = require('http');
+const path = require('path');
+const categories = require('./categories');
+const { createChannelMatcher } = require('./normalize');
+const { getSourceUrl } = require('./sources');
+const { probeSource } = require('./check-sources');
+
+// 路径配置
+const rootDir = path.dirname(__dirname);
+const outputJsonPath = path.join(rootDir, 'output.json');
+
+// 配置常量
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '0.0.0.0';
+const DEFAULT_OPTIONS = {
+  probeTtl: 5 * 60 * 1000, // 同一个源两次后台探测的最小间隔（毫秒）
+  deadTtl: 10 * 60 * 1000, // 探测失效的源被跳过的时长（毫秒），之后重新尝试
+  watchInterval: 2000 // 检查output.json变化的间隔（毫秒）
+};
+// 静态文件按扩展名的响应类型
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.m3u': 'audio/x-mpegurl; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.gz': 'application/gzip'
+};
+
+/**
+ * 获取请求路径对应的本地文件，不允许访问的路径返回null
+ * 播放列表的文件名按outputPath推导（与fetch-channels.js的resolveSettings一致，如 tv.json -> tv.m3u、tv-ipv4.txt），
+ * 另外可以访问 epg.xml.gz 和 profiles/<输出配置名>.json|m3u|txt
+ */
+function resolveStaticFile(fileName, { outputPath, staticDir, profilesDir }) {
+  const baseName = path.basename(outputPath, '.json');
+  if (fileName === path.basename(outputPath)) return outputPath;
+  const playlist = /^(.+?)(?:-ipv[46])?\.(?:m3u|txt)$/.exec(fileName);
+  if (playlist && playlist[1] === baseName) return path.join(staticDir, fileName);
+  if (fileName === 'epg.xml.gz') return path.join(staticDir, fileName);
+  const profile = /^profiles\/([A-Za-z0-9_-]+\.(?:json|m3u|txt))$/.exec(fileName);
+  if (profile) return path.join(profilesDir, profile[1]);
+  return null;
+}
+
+/**
+ * 根据output.json建立频道查找表，频道名按与抓取时相同的归一化规则匹配
+ * 返回 { find(name) }，find返回频道条目或null
+ */
+function createChannelLookup(output) {
+  const entries = [];
+  categories.forEachOutputChannel(output, (entry) => {
+    if (Array.isArray(entry.sources) && entry.sources.length > 0) entries.push(entry);
+  });
+  const matcher = createChannelMatcher(entries);
+  const entriesByKey = new Map();
+  for (const entry of entries) {
+    const key = categories.getChannelKey(entry);
+    if (!entriesByKey.has(key)) entriesByKey.set(key, entry);
+  }
+
+  return {
+    find(name) {
+      const key = matcher.match(name);
+      return key ? entriesByKey.get(key) : null;
+    }
+  };
+}
+
+/**
+ * 创建服务
+ * options: outputPath、rootDir（播放列表和节目单所在目录，默认为outputPath所在目录）、profilesDir（默认为rootDir下的profiles）、
+ * probe（探测函数，默认使用check-sources的probeSource）以及DEFAULT_OPTIONS中的各项
+ * 返回 { server, listen(port, host), close(), reload() }
+ */
+function createServer(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const {
+    outputPath = outputJsonPath,
+    rootDir: staticDir = path.dirname(outputPath),
+    profilesDir = path.join(staticDir, 'profiles'),
+    probe = probeSource
+  } = opts;
+  const deadUntil = new Map(); // 源URL -> 失效标记的过期时间
+  const lastProbed = new Map(); // 源URL -> 上次开始探测的时间
+  const probing = new Set();
+  let lookup = createChannelLookup({});
+
+  const reload = async () => {
+    try {
+      lookup = createChannelLookup(JSON.parse(await fsPromises.readFile(outputPath, 'utf8')));
+      console.log(`🔄 已加载: ${outputPath}`);
+    } catch (err) {
+      // 文件损坏或正在写入时保留之前的内容
+      console.error(`⚠️ 加载output.json失败，继续使用之前的内容: ${err.message}`);
+    }
+  };
+
+  const isDead = url => (deadUntil.get(url) || 0) > Date.now();
+
+  /**
+   * 后台探测源，结果只影响之后的跳转
+   */
+  const probeInBackground = (source) => {
+    const url = getSourceUrl(source);
+    if (probing.has(url) || Date.now() - (lastProbed.get(url) || 0) < opts.probeTtl) return;
+    probing.add(url);
+    lastProbed.set(url, Date.now());
+    Promise.resolve(probe(source, opts))
+      .then((result) => {
+        if (result.ok) {
+          deadUntil.delete(url);
+        } else {
+          deadUntil.set(url, Date.now() + opts.deadTtl);
+          console.log(`❌ 源已失效，暂时跳过: ${url}（${result.error}）`);
+        }
+      })
+      .catch(err => console.error(`⚠️ 探测失败: ${url} - ${err.message}`))
+      .finally(() => probing.delete(url));
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    res.end(body);
+  };
+
+  const handleChannel = (res, name) => {
+    const entry = lookup.find(name);
+    if (!entry) {
+      send(res, 404, `Channel not found: ${name}\n`);
+      return;
+    }
+    const source = entry.sources.find(item => getSourceUrl(item) && !isDead(getSourceUrl(item)));
+    if (!source) {
+      send(res, 503, `No available source: ${name}\n`);
+      return;
+    }
+    send(res, 302, '', { Location: getSourceUrl(source), 'Cache-Control': 'no-store' });
+    probeInBackground(source);
+  };
+
+  const handleStatic = async (res, fileName, filePath) => {
+    try {
+      const content = await fsPromises.readFile(filePath);
+      const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+      send(res, 200, content, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    } catch (err) {
+      send(res, 404, `Not found: ${fileName}\n`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(res, 405, 'Method Not Allowed\n', { Allow: 'GET, HEAD' });
+      return;
+    }
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+      send(res, 400, 'Bad Request\n');
+      return;
+    }
+
+    if (pathname.startsWith('/channel/')) {
+      handleChannel(res, pathname.slice('/channel/'.length));
+      return;
+    }
+    const fileName = pathname === '/' ? path.basename(outputPath) : pathname.slice(1);
+    const filePath = resolveStaticFile(fileName, { outputPath, staticDir, profilesDir });
+    if (filePath) {
+      handleStatic(res, fileName, filePath);
+    } else {
+      send(res, 404, 'Not Found\n');
+    }
+  });
+
+  const onOutputChange = (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  };
+
+  return {
+    server,
+    reload,
+    async listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+      await reload();
+      fs.watchFile(outputPath, { interval: opts.watchInterval }, onOutputChange);
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+      return server.address();
+    },
+    close() {
+      fs.unwatchFile(outputPath, onOutputChange);
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  createChannelLookup,
+  createServer
+};
+
+// 直接运行时等同于 cli.js serve
+if (require.main === module) {
+  require('./cli').main(['serve', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,214 @@
+/**
+ * 订阅源索引
+ * 每个订阅文件只流式解析一次，解析的同时按频道配置匹配名称：匹配到的频道保留源记录，
+ * 未匹配的名称只记录出现次数（用于未匹配名称报告），开启自动发现时才保留未匹配名称的源；
+ * 每个文件的结果在整个文件解析成功后才并入索引，中途失败（如gzip被截断）的文件不留下部分结果
+ */
+
+const path = require('path');
+const { cleanName, normalizeName } = require('./normalize');
+const { getCategoryHint } = require('./categories');
+const { parsePlaylistFile } = require('./playlist-parser');
+const { getSubscriptionIdFromFile } = require('./subscription-cache');
+
+// 自动发现时没有分组的频道归入的分组名
+const UNGROUPED_LABEL = '未分组';
+
+/**
+ * 创建空索引
+ * matched: Map<频道键, 索引项[]>，unmatched: Map<归一化名, { name, key, count, variants, files, subscription_ids }>，
+ * discovered: Map<订阅分组名, Map<归一化名, 索引项[]>>；索引项为 { seq, source, group, subscriptionId, file, name }，
+ * seq为源在所有文件中的出现顺序，用于按订阅顺序输出匹配结果，name为订阅中的原始频道名
+ */
+function createIndex() {
+  return { matched: new Map(), unmatched: new Map(), discovered: new Map() };
+}
+
+/**
+ * 向Map中的列表追加元素
+ */
+function pushTo(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+/**
+ * 把单个文件的解析结果并入索引
+ */
+function mergeIndex(index, fileIndex) {
+  for (const [channelKey, items] of fileIndex.matched) {
+    for (const item of items) pushTo(index.matched, channelKey, item);
+  }
+  for (const [key, missed] of fileIndex.unmatched) {
+    const existing = index.unmatched.get(key);
+    if (!existing) {
+      index.unmatched.set(key, missed);
+      continue;
+    }
+    existing.count += missed.count;
+    missed.variants.forEach(variant => existing.variants.add(variant));
+    missed.files.forEach(file => existing.files.add(file));
+    missed.subscription_ids.forEach(id => existing.subscription_ids.add(id));
+  }
+  for (const [groupName, channels] of fileIndex.discovered) {
+    if (!index.discovered.has(groupName)) index.discovered.set(groupName, new Map());
+    for (const [key, items] of channels) {
+      for (const item of items) pushTo(index.discovered.get(groupName), key, item);
+    }
+  }
+}
+
+/**
+ * 解析全部订阅文件并建立索引，files为 [{ path, format? }]（format为空时自动识别格式）
+ * options.matcher 为 normalize.createChannelMatcher 的返回值；subscriptionOf返回订阅id对应的订阅配置（name_map，见subscriptions.js），
+ * categoryOf返回频道键所在的分类路径（用于分组提示），discover为true时保留未匹配名称的源（自动发现）；
+ * options.onFile 在每个文件解析后调用，参数为 { file, subscriptionId, format, entries, channels, epgUrls } 或 { file, subscriptionId, error }
+ * 返回索引（结构见createIndex）
+ */
+async function buildSourceIndex(files, options = {}) {
+  const {
+    matcher,
+    subscriptionOf = () => null,
+    categoryOf = () => null,
+    discover = false,
+    onFile
+  } = options;
+  const index = createIndex();
+  let seq = 0;
+
+  for (const { path: filePath, format } of files) {
+    const subscriptionId = getSubscriptionIdFromFile(filePath);
+    const file = path.basename(filePath);
+    const nameMap = (subscriptionOf(subscriptionId) || {}).name_map || {};
+    const fileIndex = createIndex();
+    const names = new Map(); // "分组\n原始名称" -> { channelKey, key }，同一名称只匹配一次
+    const keys = new Set(); // 文件中不同的归一化频道名
+    try {
+      const result = await parsePlaylistFile(filePath, (name, source, group) => {
+        const nameKey = `${group || ''}\n${name}`;
+        if (!names.has(nameKey)) {
+          // 订阅的name_map优先，映射的目标名称同样经过别名匹配
+          const mapped = Object.prototype.hasOwnProperty.call(nameMap, name) ? nameMap[name] : name;
+          names.set(nameKey, { channelKey: matchWithHint(matcher, mapped, group, categoryOf), key: normalizeName(name) });
+        }
+        const { channelKey, key } = names.get(nameKey);
+        keys.add(key);
+        const item = { seq: seq++, source, group, subscriptionId, file, name };
+        if (channelKey) {
+          pushTo(fileIndex.matched, channelKey, item);
+          return;
+        }
+
+        if (!fileIndex.unmatched.has(key)) {
+          fileIndex.unmatched.set(key, { name: cleanName(name), key, count: 0, variants: new Set(), files: new Set([file]), subscription_ids: new Set([subscriptionId]) });
+        }
+        const missed = fileIndex.unmatched.get(key);
+        missed.count++;
+        missed.variants.add(name);
+        if (discover) {
+          const groupName = group || UNGROUPED_LABEL;
+          if (!fileIndex.discovered.has(groupName)) fileIndex.discovered.set(groupName, new Map());
+          pushTo(fileIndex.discovered.get(groupName), key, item);
+        }
+      }, { format });
+      mergeIndex(index, fileIndex);
+      if (onFile) onFile({ file, subscriptionId, ...result, channels: keys.size });
+    } catch (err) {
+      if (onFile) onFile({ file, subscriptionId, error: err });
+    }
+  }
+  return index;
+}
+
+/**
+ * 结合订阅分组的分类提示匹配频道名
+ * 直接匹配到提示分类中的频道时采用；否则名称缺少该分类的后缀时补上后缀再匹配（卫视分组下的 "北京" -> 北京卫视），
+ * 补后缀的结果同样要属于提示分类，都不满足时使用直接匹配的结果
+ */
+function matchWithHint(matcher, name, group, categoryOf) {
+  const key = matcher.match(name);
+  const hint = getCategoryHint(group);
+  if (!hint || !hint.suffix || name.endsWith(hint.suffix)) return key;
+
+  const inHintCategory = channelKey => (categoryOf(channelKey) || []).includes(hint.category);
+  if (key && inHintCategory(key)) return key;
+  const hinted = matcher.match(name + hint.suffix);
+  return hinted && inHintCategory(hinted) ? hinted : key;
+}
+
+/**
+ * 将索引项按订阅中的出现顺序转换为源记录，等价URL保留首次出现的记录并合并订阅id
+ * 订阅配置了max_sources时超出数量的源不再采用；trust为low的订阅提供的源只有同时出现在其他订阅中时才保留
+ */
+function collectRecords(items, canonicalize, subscriptionOf) {
+  const records = new Map();
+  const counts = new Map(); // 订阅id -> 已采用的源数量
+  for (const item of items.sort((a, b) => a.seq - b.seq)) {
+    const urlKey = canonicalize(item.source.url);
+    const existing = records.get(urlKey);
+    if (existing && existing.subscription_ids.includes(item.subscriptionId)) continue;
+    const maxSources = (subscriptionOf(item.subscriptionId) || {}).max_sources;
+    const count = counts.get(item.subscriptionId) || 0;
+    if (maxSources && count >= maxSources) continue;
+    counts.set(item.subscriptionId, count + 1);
+
+    if (!existing) {
+      const record = { ...item.source, source_name: item.name, subscription_ids: [item.subscriptionId] };
+      if (item.group) record.group = item.group;
+      records.set(urlKey, record);
+    } else {
+      existing.subscription_ids.push(item.subscriptionId);
+    }
+  }
+  const isLowTrust = id => (subscriptionOf(id) || {}).trust === 'low';
+  return [...records.values()]
+    .filter(record => record.subscription_ids.length > 1 || !isLowTrust(record.subscription_ids[0]));
+}
+
+/**
+ * 由索引生成所有频道的源
+ * policy(source, subscriptionId) 按策略过滤或改写源（返回null表示丢弃），canonicalize用于合并等价URL，
+ * subscriptionOf返回订阅id对应的订阅配置（max_sources、trust，见subscriptions.js）
+ * 返回 {
+ *   sources: Map<频道键, 源记录[]>,
+ *   unmatched: [{ name, key, count, variants, files, subscription_ids }]（按出现次数降序）,
+ *   discovered: Map<订阅分组名, Map<频道名, 源记录[]>>
+ * }，源记录带有订阅中的原始频道名（source_name）、分组（group）和提供它的订阅id（subscription_ids）
+ */
+function resolveChannels(index, options = {}) {
+  const {
+    policy = source => source,
+    canonicalize = url => url,
+    subscriptionOf = () => null
+  } = options;
+  const applyPolicy = items => items.flatMap((item) => {
+    const source = item.source.url ? policy(item.source, item.subscriptionId) : null;
+    return source ? [{ ...item, source }] : [];
+  });
+
+  const sources = new Map();
+  for (const [channelKey, items] of index.matched) {
+    const accepted = applyPolicy(items);
+    if (accepted.length > 0) sources.set(channelKey, collectRecords(accepted, canonicalize, subscriptionOf));
+  }
+
+  const discovered = new Map();
+  for (const [groupName, channels] of index.discovered) {
+    const resolved = new Map();
+    for (const [key, items] of channels) {
+      const records = collectRecords(applyPolicy(items), canonicalize, subscriptionOf);
+      if (records.length > 0) resolved.set(index.unmatched.get(key).name, records);
+    }
+    discovered.set(groupName, resolved);
+  }
+
+  const unmatched = [...index.unmatched.values()]
+    .map(missed => ({ ...missed, variants: [...missed.variants], files: [...missed.files], subscription_ids: [...missed.subscription_ids] }))
+    .sort((a, b) => b.count - a.count);
+  return { sources, unmatched, discovered };
+}
+
+module.exports = {
+  buildSourceIndex,
+  resolveChannels
+};
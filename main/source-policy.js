@@ -0,0 +1,119 @@
+/**
+ * 源过滤策略
+ * channel.json 的 source_policy 为全局策略，subscription_urls 中每个订阅可以用 policy 覆盖：
+ * 开关项和udpxy以订阅为准，allow_hosts / allow_ports 订阅配置了就替换全局的，deny_hosts / deny_ports / deny_sources 与全局合并；
+ * 全局的 deny_hosts / deny_sources 即全局黑名单，已在output.json中的源同样按策略淘汰
+ */
+
+const { matchHost, matchUrlPattern } = require('./sources');
+const { getSubscriptions } = require('./subscriptions');
+
+// 默认策略：与之前的行为一致，只保留IPv4的http(s)/rtmp源
+const DEFAULT_POLICY = {
+  ipv6: false, // 主机为IPv6地址的源
+  http: true, // 明文http源（https始终允许）
+  multicast: false, // rtp:// 和 udp:// 组播源
+  rtsp: false, // rtsp:// 源
+  rtmp: true, // rtmp:// 源
+  allow_hosts: [], // 非空时只保留这些主机的源（支持 "*.example.com"）
+  deny_hosts: [],
+  allow_ports: [], // 非空时只保留这些端口的源
+  deny_ports: [],
+  deny_sources: [], // 源地址规则（"*" 匹配任意字符），如 "http://relay.example.com:8080/*"
+  udpxy: '' // udpxy代理地址，如 "http://192.168.1.1:4022"，配置后组播源改写为 <udpxy>/rtp/<组播地址>
+};
+
+// 未写端口时各协议的默认端口
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443, 'rtsp:': 554, 'rtmp:': 1935 };
+
+/**
+ * 判断URL的主机是否为IPv6地址
+ */
+function isIPv6Url(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    return hostname.includes(':') || hostname.startsWith('[');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 合并全局策略和订阅策略
+ */
+function mergePolicy(globalPolicy = {}, subscriptionPolicy = {}) {
+  const base = { ...DEFAULT_POLICY, ...globalPolicy };
+  return {
+    ...base,
+    ...subscriptionPolicy,
+    deny_hosts: [...base.deny_hosts, ...(subscriptionPolicy.deny_hosts || [])],
+    deny_ports: [...base.deny_ports, ...(subscriptionPolicy.deny_ports || [])],
+    deny_sources: [...base.deny_sources, ...(subscriptionPolicy.deny_sources || [])]
+  };
+}
+
+/**
+ * 组播地址改写为udpxy代理地址，如 rtp://239.1.1.1:5000 -> http://192.168.1.1:4022/rtp/239.1.1.1:5000
+ */
+function rewriteMulticast(url, udpxy) {
+  const match = /^(rtp|udp):\/\/@?(.+)$/i.exec(url);
+  if (!match) return url;
+  return `${udpxy.replace(/\/+$/, '')}/${match[1].toLowerCase()}/${match[2]}`;
+}
+
+/**
+ * 按策略检查单个源，不允许时返回null，组播源按需改写为udpxy地址后返回新的源记录
+ */
+function applyPolicy(source, policy) {
+  let parsed;
+  try {
+    parsed = new URL(source.url);
+  } catch (e) {
+    return null;
+  }
+
+  const protocol = parsed.protocol;
+  const isMulticast = protocol === 'rtp:' || protocol === 'udp:';
+  if (protocol === 'http:' && !policy.http) return null;
+  if (isMulticast && !policy.multicast) return null;
+  if (protocol === 'rtsp:' && !policy.rtsp) return null;
+  if (protocol === 'rtmp:' && !policy.rtmp) return null;
+  if (!['http:', 'https:', 'rtsp:', 'rtmp:'].includes(protocol) && !isMulticast) return null;
+  if (!policy.ipv6 && isIPv6Url(source.url)) return null;
+  if (policy.deny_sources.some(pattern => matchUrlPattern(source.url, pattern))) return null;
+
+  // 组播地址写成 udp://@239.1.1.1:5000 时，主机名会解析到@之后
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (policy.allow_hosts.length > 0 && !policy.allow_hosts.some(pattern => matchHost(hostname, pattern))) return null;
+  if (policy.deny_hosts.some(pattern => matchHost(hostname, pattern))) return null;
+
+  const port = Number(parsed.port) || DEFAULT_PORTS[protocol] || null;
+  if (policy.allow_ports.length > 0 && !policy.allow_ports.includes(port)) return null;
+  if (policy.deny_ports.includes(port)) return null;
+
+  if (isMulticast && policy.udpxy) {
+    return { ...source, url: rewriteMulticast(source.url, policy.udpxy) };
+  }
+  return source;
+}
+
+/**
+ * 根据频道配置创建源过滤函数 (source, subscriptionId) => 源记录 | null
+ */
+function createSourcePolicy(channelData = {}) {
+  const globalPolicy = channelData.source_policy || {};
+  const policies = new Map(); // 订阅id -> 合并后的策略
+  for (const subscription of getSubscriptions(channelData, { includeDisabled: true })) {
+    if (subscription.policy) policies.set(subscription.id, mergePolicy(globalPolicy, subscription.policy));
+  }
+  const defaultPolicy = mergePolicy(globalPolicy);
+
+  return (source, subscriptionId) => applyPolicy(source, policies.get(subscriptionId) || defaultPolicy);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  isIPv6Url,
+  rewriteMulticast,
+  createSourcePolicy
+};
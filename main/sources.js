@@ -0,0 +1,87 @@
+/**
+ * 源记录工具
+ * output.json中的源为 { url, attributes?, vlc_options?, kodi_props? } 对象，
+ * 旧版本写入的纯字符串URL仍然兼容
+ */
+
+/**
+ * 获取源的URL（兼容纯字符串）
+ */
+function getSourceUrl(source) {
+  return typeof source === 'string' ? source : source && source.url;
+}
+
+/**
+ * 统一转换为源记录对象
+ */
+function toSourceRecord(source) {
+  return typeof source === 'string' ? { url: source } : source;
+}
+
+/**
+ * 获取播放该源需要携带的请求头（来自 #EXTVLCOPT 的 http-user-agent / http-referrer）
+ */
+function getSourceHeaders(source) {
+  const headers = {};
+  const vlcOptions = (source && source.vlc_options) || {};
+  if (vlcOptions['http-user-agent']) headers['User-Agent'] = vlcOptions['http-user-agent'];
+  if (vlcOptions['http-referrer']) headers['Referer'] = vlcOptions['http-referrer'];
+  return headers;
+}
+
+/**
+ * 判断主机名是否匹配规则（支持 "*.example.com" 通配，同时匹配 example.com 本身）
+ */
+function matchHost(hostname, pattern) {
+  const normalized = pattern.toLowerCase();
+  if (normalized.startsWith('*.')) {
+    const domain = normalized.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === normalized;
+}
+
+/**
+ * 判断URL是否匹配规则：规则中的 "*" 匹配任意字符，整体匹配完整URL（不区分大小写），如 "http://relay.example.com:8080/*"
+ */
+function matchUrlPattern(url, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  return regex.test(url);
+}
+
+/**
+ * 根据channel.json的 url_canonicalization 规则创建URL规范化函数
+ * 规范化后的URL用作去重键：去掉片段、按主机规则删除易变的查询参数（"*" 表示全部删除）、其余参数排序；
+ * 规范化结果相同的URL视为同一个源
+ */
+function createUrlCanonicalizer(rules = []) {
+  return (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return url;
+    }
+
+    parsed.hash = '';
+    const ignoredParams = rules
+      .filter(rule => (rule.hosts || []).some(pattern => matchHost(parsed.hostname, pattern)))
+      .flatMap(rule => rule.ignore_params || []);
+    if (ignoredParams.includes('*')) {
+      parsed.search = '';
+    } else {
+      ignoredParams.forEach(param => parsed.searchParams.delete(param));
+      parsed.searchParams.sort();
+    }
+    return parsed.href;
+  };
+}
+
+module.exports = {
+  getSourceUrl,
+  toSourceRecord,
+  getSourceHeaders,
+  matchHost,
+  matchUrlPattern,
+  createUrlCanonicalizer
+};
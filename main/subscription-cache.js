@@ -0,0 +1,119 @@
+/**
+ * 订阅缓存
+ * 临时目录中每个订阅对应一个 sub_<key>.txt 文件，key为订阅id（无id时为URL的哈希），
+ * 订阅引用的其他播放列表（如TVBox配置中的直播源地址）保存为 sub_<key>-<序号>.txt；
+ * cache.json 记录每个订阅的URL、抓取时间、内容哈希、ETag/Last-Modified、引用的播放列表（parts）和上次抓取状态
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+// 配置常量
+const MANIFEST_FILE = 'cache.json'; // 缓存清单文件名（位于临时目录中）
+const DEFAULT_CACHE_TTL_MINUTES = 360; // 订阅缓存默认有效期6小时
+// 旧版本遗留的文件，加载缓存时清理
+const LEGACY_FILES = ['.download_complete', 'http-cache.json'];
+
+/**
+ * 获取订阅的缓存键：优先使用channel.json中的id，调整subscription_urls顺序不会错配文件
+ */
+function getCacheKey(subscription) {
+  if (subscription.id !== undefined && subscription.id !== null) return String(subscription.id);
+  return `url_${crypto.createHash('sha1').update(subscription.url).digest('hex').slice(0, 10)}`;
+}
+
+/**
+ * 获取缓存文件名：订阅本身为 sub_<key>.txt，引用的第n个播放列表为 sub_<key>-<n>.txt
+ */
+function getCacheFileName(key, part) {
+  return part ? `sub_${key}-${part}.txt` : `sub_${key}.txt`;
+}
+
+/**
+ * 从缓存文件名还原订阅id（sub_3.txt、sub_3-1.txt -> 3；无id的订阅返回缓存键）
+ */
+function getSubscriptionIdFromFile(filePath) {
+  const key = path.basename(filePath).replace(/^sub_/, '').replace(/\.txt$/, '').replace(/-\d+$/, '');
+  return /^\d+$/.test(key) ? Number(key) : key;
+}
+
+/**
+ * 计算内容哈希
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * 加载缓存清单（不存在或损坏时返回空清单）
+ */
+async function loadCache(cacheDir) {
+  for (const file of LEGACY_FILES) {
+    await fsPromises.unlink(path.join(cacheDir, file)).catch(() => {});
+  }
+  try {
+    return JSON.parse(await fsPromises.readFile(path.join(cacheDir, MANIFEST_FILE), 'utf8')) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * 保存缓存清单
+ */
+async function saveCache(cacheDir, manifest) {
+  await writeFileAtomic(path.join(cacheDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * 获取订阅对应的缓存记录，URL已变化的记录视为无效
+ */
+function getCacheEntry(manifest, subscription) {
+  const entry = manifest[getCacheKey(subscription)];
+  return entry && entry.url === subscription.url ? entry : null;
+}
+
+/**
+ * 判断缓存是否在有效期内（上次抓取失败的订阅始终视为过期）
+ */
+function isFresh(entry, subscription, now = Date.now()) {
+  if (!entry || entry.status !== 'ok' || !entry.fetchedAt) return false;
+  const ttlMinutes = subscription.cache_ttl_minutes ?? DEFAULT_CACHE_TTL_MINUTES;
+  return now - new Date(entry.fetchedAt).getTime() < ttlMinutes * 60 * 1000;
+}
+
+/**
+ * 删除不再属于任何订阅的缓存文件和清单记录
+ */
+async function pruneCache(cacheDir, manifest, subscriptions) {
+  const activeKeys = new Set(subscriptions.map(getCacheKey));
+  for (const key of Object.keys(manifest)) {
+    if (!activeKeys.has(key)) delete manifest[key];
+  }
+
+  const activeFiles = new Set([...activeKeys].map(key => getCacheFileName(key)));
+  for (const entry of Object.values(manifest)) {
+    (entry.parts || []).forEach(part => activeFiles.add(part.file));
+  }
+  const files = await fsPromises.readdir(cacheDir).catch(() => []);
+  for (const file of files) {
+    if (file.startsWith('sub_') && file.endsWith('.txt') && !activeFiles.has(file)) {
+      await fsPromises.unlink(path.join(cacheDir, file)).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  getCacheKey,
+  getCacheFileName,
+  getSubscriptionIdFromFile,
+  hashContent,
+  loadCache,
+  saveCache,
+  getCacheEntry,
+  isFresh,
+  pruneCache
+};
@@ -0,0 +1,69 @@
+/**
+ * 订阅配置
+ * subscription_urls 中的每一项可以是地址字符串，也可以是带元数据的对象：
+ * enabled（为false时跳过）、priority（排序加分）、headers / user_agent / referer（下载时的请求头）、format（强制格式）、
+ * name_map（该订阅的频道名映射，如 {"CCTV1 HD": "CCTV-1"}）、max_sources（每个频道最多采用该订阅的源数量）、
+ * trust（low表示该订阅的源必须同时出现在其他订阅中才会采用）以及描述性的 name / region；
+ * 字符串写法等同于只有url的对象，订阅id为缓存键（url_<哈希>），与缓存文件名还原的id一致
+ */
+
+const { getCacheKey } = require('./subscription-cache');
+
+// 订阅的默认元数据
+const DEFAULT_SUBSCRIPTION = {
+  enabled: true,
+  priority: 0,
+  headers: {},
+  name_map: {},
+  max_sources: null, // 不限制
+  trust: 'normal' // normal / low
+};
+
+/**
+ * 订阅id：配置了id时为该id，否则为缓存键
+ */
+function getSubscriptionId(subscription) {
+  if (subscription.id !== undefined && subscription.id !== null) return subscription.id;
+  return getCacheKey(subscription);
+}
+
+/**
+ * 规范化订阅列表（补全默认值和id），includeDisabled为false时去掉停用的订阅
+ */
+function getSubscriptions(channelData = {}, options = {}) {
+  const { includeDisabled = false } = options;
+  return (channelData.subscription_urls || [])
+    .filter(item => item && (typeof item === 'string' || typeof item === 'object'))
+    .map(item => (typeof item === 'string' ? { url: item } : item))
+    .map(item => ({ ...DEFAULT_SUBSCRIPTION, ...item, id: getSubscriptionId(item) }))
+    .filter(subscription => includeDisabled || subscription.enabled !== false);
+}
+
+/**
+ * 按id索引订阅（包括停用的订阅，已在输出中的源仍可查到来源的配置）
+ */
+function createSubscriptionLookup(channelData = {}) {
+  const lookup = new Map();
+  for (const subscription of getSubscriptions(channelData, { includeDisabled: true })) {
+    lookup.set(subscription.id, subscription);
+  }
+  return lookup;
+}
+
+/**
+ * 下载订阅时附加的请求头：headers 中的自定义请求头，user_agent / referer 覆盖同名请求头
+ */
+function getRequestHeaders(subscription) {
+  const headers = { ...(subscription.headers || {}) };
+  if (subscription.user_agent) headers['User-Agent'] = subscription.user_agent;
+  if (subscription.referer) headers.Referer = subscription.referer;
+  return headers;
+}
+
+module.exports = {
+  DEFAULT_SUBSCRIPTION,
+  getSubscriptionId,
+  getSubscriptions,
+  createSubscriptionLookup,
+  getRequestHeaders
+};
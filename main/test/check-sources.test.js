@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { probeSource, probeAll, checkOutput, applyResults } = require('../check-sources');
+const { startStubServer } = require('./helpers/stub-server');
+
+const MEDIA = '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXT-X-MEDIA-SEQUENCE:1\n#EXTINF:2,\nseg1.ts\n#EXTINF:2,\nseg2.ts\n';
+
+/**
+ * 启动带HLS播放列表的测试服务
+ */
+async function startHlsServer(t, extraRoutes = {}) {
+  const server = await startStubServer({
+    '/live/index.m3u8': { body: MEDIA },
+    '/live/seg1.ts': { body: Buffer.alloc(188) },
+    '/empty.m3u8': { body: '#EXTM3U\n#EXT-X-TARGETDURATION:2\n' },
+    '/not-hls.m3u8': { body: '<html></html>' },
+    '/moved.m3u8': { status: 302, headers: { location: '/live/index.m3u8' } },
+    '/gone.m3u8': { status: 410 },
+    '/hang.m3u8': () => {},
+    '/stream.flv': { body: Buffer.alloc(64) },
+    ...extraRoutes
+  });
+  t.after(() => server.close());
+  return server;
+}
+
+test('probeSource：播放列表、首个分片和延迟', async (t) => {
+  const server = await startHlsServer(t);
+  const result = await probeSource({ url: `${server.url}/live/index.m3u8` });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.playlist, 'ok');
+  assert.strictEqual(result.segment, 'ok');
+  assert.ok(result.latency >= 0);
+  assert.ok(server.requests.some(request => request.path === '/live/seg1.ts'));
+});
+
+test('probeSource：跟随重定向，相对分片地址按最终地址解析', async (t) => {
+  const server = await startHlsServer(t);
+  const result = await probeSource(`${server.url}/moved.m3u8`);
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(server.requests.map(request => request.path), ['/moved.m3u8', '/live/index.m3u8', '/live/seg1.ts']);
+});
+
+test('probeSource：非2xx、无效播放列表、空播放列表和分片失败', async (t) => {
+  const server = await startHlsServer(t, { '/broken.m3u8': { body: '#EXTM3U\n#EXTINF:2,\nmissing.ts\n' } });
+  const gone = await probeSource(`${server.url}/gone.m3u8`);
+  assert.deepStrictEqual([gone.ok, gone.status, gone.error], [false, 410, 'HTTP 410']);
+
+  const invalid = await probeSource(`${server.url}/not-hls.m3u8`);
+  assert.deepStrictEqual([invalid.ok, invalid.playlist], [false, 'invalid']);
+
+  const empty = await probeSource(`${server.url}/empty.m3u8`);
+  assert.deepStrictEqual([empty.ok, empty.playlist, empty.error], [false, 'empty', 'Playlist has no segments']);
+
+  const broken = await probeSource(`${server.url}/broken.m3u8`);
+  assert.deepStrictEqual([broken.ok, broken.segment, broken.error], [false, 'failed', 'Segment HTTP 404']);
+
+  const flv = await probeSource(`${server.url}/stream.flv`);
+  assert.strictEqual(flv.ok, true);
+});
+
+test('probeSource：请求超时', async (t) => {
+  const server = await startHlsServer(t);
+  const result = await probeSource(`${server.url}/hang.m3u8`, { timeout: 200 });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error, 'Request timeout after 0.2s');
+  assert.ok(result.elapsed < 2000);
+});
+
+test('probeAll：同一主机的并发数不超过perHostLimit', async (t) => {
+  let active = 0;
+  let maxActive = 0;
+  const server = await startHlsServer(t, {
+    '/slow.flv': (req, res) => {
+      maxActive = Math.max(maxActive, ++active);
+      setTimeout(() => {
+        active--;
+        res.end('data');
+      }, 100);
+    }
+  });
+  const sources = Array.from({ length: 6 }, (_, index) => `${server.url}/slow.flv?n=${index}`);
+  const results = await probeAll(sources, { concurrency: 8, perHostLimit: 2, hostInterval: 0 });
+  assert.strictEqual(results.size, 6);
+  assert.ok([...results.values()].every(result => result.ok));
+  assert.strictEqual(maxActive, 2);
+});
+
+test('probeAll：全局并发上限和单主机请求间隔', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const starts = new Map();
+  const probe = async (url) => {
+    maxActive = Math.max(maxActive, ++active);
+    const host = new URL(url).host;
+    starts.set(host, [...(starts.get(host) || []), Date.now()]);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    active--;
+    return { url, ok: true, latency: 1 };
+  };
+  const sources = [];
+  for (let host = 0; host < 5; host++) {
+    for (let n = 0; n < 2; n++) sources.push(`http://host${host}.example/${n}.m3u8`);
+  }
+
+  const results = await probeAll(sources, { probe, concurrency: 3, perHostLimit: 2, hostInterval: 80 });
+  assert.strictEqual(results.size, 10);
+  assert.strictEqual(maxActive, 3);
+  for (const times of starts.values()) {
+    assert.ok(times[1] - times[0] >= 75, `同一主机两次请求间隔 ${times[1] - times[0]}ms`);
+  }
+});
+
+test('probeAll：探测函数出错时记为失效，其余源继续探测', async () => {
+  const probe = async (url) => {
+    if (url.endsWith('/throw.m3u8')) throw new Error('boom');
+    return { url, ok: true, latency: 1 };
+  };
+  const sources = ['http://a.example/throw.m3u8', 'http://a.example/1.m3u8', 'http://b.example/2.m3u8'];
+
+  const results = await probeAll(sources, { probe, concurrency: 1, hostInterval: 0 });
+  assert.deepStrictEqual([...results.keys()].sort(), [...sources].sort());
+  assert.deepStrictEqual([results.get(sources[0]).ok, results.get(sources[0]).error], [false, 'boom']);
+  assert.ok(results.get(sources[1]).ok && results.get(sources[2]).ok);
+});
+
+/**
+ * 测试用的输出结构和探测结果
+ */
+function createFixture() {
+  const output = {
+    cctv: [
+      { name: 'CCTV-1', sources: ['http://a/dead.m3u8', 'rtp://239.1.1.1:5000', 'http://a/slow.m3u8', 'http://a/fast.m3u8'] },
+      { name: 'CCTV-2', sources: [{ url: 'http://b/dead.m3u8' }] }
+    ]
+  };
+  const checkedAt = '2026-01-01T00:00:00.000Z';
+  const results = new Map([
+    ['http://a/dead.m3u8', { ok: false, latency: 5, checkedAt }],
+    ['http://a/slow.m3u8', { ok: true, latency: 300, checkedAt }],
+    ['http://a/fast.m3u8', { ok: true, latency: 20, checkedAt }],
+    ['http://b/dead.m3u8', { ok: false, latency: null, checkedAt }]
+  ]);
+  return { output, results };
+}
+
+test('applyResults rank模式：记录health，可用源在前，未检测的源居中，失效源保留在末尾', () => {
+  const { output, results } = createFixture();
+  applyResults(output, results, 'rank');
+  const [cctv1, cctv2] = output.cctv;
+  assert.deepStrictEqual(cctv1.sources.map(source => source.url || source), [
+    'http://a/fast.m3u8', 'http://a/slow.m3u8', 'rtp://239.1.1.1:5000', 'http://a/dead.m3u8'
+  ]);
+  assert.deepStrictEqual(cctv1.sources[0].health, { ok: true, latency: 20, checked_at: '2026-01-01T00:00:00.000Z' });
+  assert.strictEqual(cctv1.sources[3].health.ok, false);
+  assert.strictEqual(cctv2.sources.length, 1);
+});
+
+test('applyResults prune模式：删除失效源，源全部失效的频道整体移除', () => {
+  const { output, results } = createFixture();
+  applyResults(output, results, 'prune');
+  assert.deepStrictEqual(output.cctv.map(entry => entry.name), ['CCTV-1']);
+  assert.deepStrictEqual(output.cctv[0].sources.map(source => source.url || source), [
+    'http://a/fast.m3u8', 'http://a/slow.m3u8', 'rtp://239.1.1.1:5000'
+  ]);
+});
+
+test('checkOutput：同一地址只探测一次，返回健康报告', async (t) => {
+  const server = await startHlsServer(t);
+  const live = `${server.url}/live/index.m3u8`;
+  const output = { cctv: [
+    { name: 'CCTV-1', sources: [live, `${server.url}/gone.m3u8`] },
+    { name: 'CCTV-1 备用', sources: [live] }
+  ] };
+  const report = await checkOutput(output, { hostInterval: 0, perHostLimit: 4 });
+  assert.deepStrictEqual(report.summary, { channels: 2, sources: 2, alive: 1, dead: 1 });
+  assert.strictEqual(server.requests.filter(request => request.path === '/live/index.m3u8').length, 1);
+  assert.deepStrictEqual(report.channels.map(channel => [channel.name, channel.alive, channel.total]), [['CCTV-1', 1, 2], ['CCTV-1 备用', 1, 1]]);
+});
@@ -0,0 +1,60 @@
+/**
+ * 测试用的本地HTTP服务
+ * routes为 { 路径: 处理函数(req, res) 或 { status, headers, body, delay } }，未配置的路径返回404；
+ * 每个请求记录在 requests 中（路径和请求头），便于断言重试次数、条件请求等
+ */
+
+const http = require('http');
+const { mock } = require('node:test');
+
+/**
+ * 启动服务，返回 { url, requests, close() }，url为 http://127.0.0.1:<端口>
+ */
+async function startStubServer(routes = {}) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, headers: req.headers, at: Date.now() });
+    const route = routes[req.url.split('?')[0]];
+    if (!route) {
+      res.statusCode = 404;
+      res.end('not found');
+      return;
+    }
+    if (typeof route === 'function') {
+      route(req, res);
+      return;
+    }
+    setTimeout(() => {
+      res.writeHead(route.status || 200, route.headers || {});
+      res.end(route.body || '');
+    }, route.delay || 0);
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      // 超时测试中挂起的连接需要主动断开
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * 屏蔽被测代码的控制台输出
+ */
+function silenceConsole() {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+}
+
+module.exports = {
+  startStubServer,
+  silenceConsole
+};
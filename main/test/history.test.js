@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const history = require('../history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+/**
+ * 创建临时的 history.jsonl 路径，测试结束后删除目录
+ */
+function makeHistoryPath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'history.jsonl');
+}
+
+/**
+ * 生成只有一个频道的输出结构，states为每个源的健康状态（true / false / null表示未检测）
+ */
+function outputWith(states, channel = 'CCTV-1') {
+  return {
+    cctv: [{
+      name: channel,
+      sources: states.map((ok, index) => ({
+        url: `http://example.com/${index}.m3u8`,
+        subscription_ids: [1],
+        ...(ok === null ? {} : { health: { ok, latency: 10 } })
+      }))
+    }]
+  };
+}
+
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+
+test('快照只记录源数量、按状态分组的地址哈希和订阅计数', () => {
+  const snapshot = history.createSnapshot(outputWith([true, false, null]), {
+    runAt: daysAgo(0),
+    channelKeys: ['CCTV-1', '北京卫视']
+  });
+  assert.deepStrictEqual(snapshot, {
+    run_at: daysAgo(0),
+    kind: 'run',
+    channels: {
+      'CCTV-1': {
+        count: 3,
+        alive: [history.hashUrl('http://example.com/0.m3u8')],
+        dead: [history.hashUrl('http://example.com/1.m3u8')],
+        unchecked: [history.hashUrl('http://example.com/2.m3u8')]
+      },
+      北京卫视: { count: 0 }
+    },
+    subscriptions: { 1: 2 }
+  });
+  assert.ok(!JSON.stringify(snapshot).includes('example.com'));
+});
+
+test('保存时删除超过保留天数的快照和无法解析的行', async (t) => {
+  const historyPath = makeHistoryPath(t);
+  const snapshot = runAt => history.createSnapshot(outputWith([true]), { runAt });
+  fs.writeFileSync(historyPath, [
+    JSON.stringify(snapshot(daysAgo(120))),
+    JSON.stringify(snapshot(daysAgo(10))),
+    '{"run_at": "broken'
+  ].join('\n') + '\n');
+
+  assert.strictEqual(await history.trimHistory(historyPath, { retentionDays: 90, now: NOW }), 2);
+  const snapshots = await history.readHistory(historyPath);
+  assert.deepStrictEqual(snapshots.map(item => item.run_at), [daysAgo(10)]);
+
+  // 没有需要删除的行时不改写文件
+  const { mtimeMs } = fs.statSync(historyPath);
+  assert.strictEqual(await history.trimHistory(historyPath, { retentionDays: 90, now: NOW }), 0);
+  assert.strictEqual(fs.statSync(historyPath).mtimeMs, mtimeMs);
+});
+
+test('统计：可用率、反复变化的源按哈希还原地址、订阅贡献、目前没有可用源的频道', async (t) => {
+  const historyPath = makeHistoryPath(t);
+  const channelKeys = ['CCTV-1', 'CCTV-5', '北京卫视'];
+  const runs = [
+    [true, true],
+    [false, true],
+    [true, true],
+    [false, false]
+  ];
+  for (const [index, states] of runs.entries()) {
+    const output = outputWith(states);
+    output.cctv.push(...outputWith(index < 2 ? [true] : [false], 'CCTV-5').cctv);
+    await history.saveSnapshot(historyPath, history.createSnapshot(output, { runAt: daysAgo(4 - index), channelKeys }));
+  }
+
+  const stats = await history.getHistoryStats(historyPath, { days: 30, now: NOW, flappingThreshold: 2, output: outputWith([null]) });
+  assert.strictEqual(stats.snapshots, 4);
+  assert.deepStrictEqual(stats.uptime.map(item => [item.channel, item.available]), [['北京卫视', 0], ['CCTV-5', 2], ['CCTV-1', 3]]);
+  assert.deepStrictEqual(stats.flapping, [{
+    channel: 'CCTV-1',
+    hash: history.hashUrl('http://example.com/0.m3u8'),
+    url: 'http://example.com/0.m3u8',
+    transitions: 3
+  }]);
+  assert.deepStrictEqual(stats.subscriptions, []);
+  assert.deepStrictEqual(stats.lost, [
+    { channel: 'CCTV-5', lost_at: daysAgo(2) },
+    { channel: 'CCTV-1', lost_at: daysAgo(1) },
+    { channel: '北京卫视', lost_at: null }
+  ]);
+
+  const text = history.formatHistoryStats(stats);
+  assert.match(text, /目前没有可用源的频道（3 个）/);
+  assert.match(text, /从未可用\s+北京卫视/);
+});
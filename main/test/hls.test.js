@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hls = require('../hls');
+const { probeSource, applyResults } = require('../check-sources');
+const { createSourceRanker } = require('../ranking');
+const { run, forEachOutputChannel } = require('..');
+const { startStubServer, silenceConsole } = require('./helpers/stub-server');
+
+silenceConsole();
+
+/**
+ * 生成媒体播放列表
+ */
+function mediaPlaylist({ sequence = 0, segments = 3, endList = false, type = null } = {}) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:1', `#EXT-X-MEDIA-SEQUENCE:${sequence}`];
+  if (type) lines.push(`#EXT-X-PLAYLIST-TYPE:${type}`);
+  for (let i = 0; i < segments; i++) lines.push('#EXTINF:1.0,', `seg${sequence + i}.ts`);
+  if (endList) lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+const MASTER = [
+  '\uFEFF#EXTM3U',
+  '#EXT-X-STREAM-INF:BANDWIDTH=1500000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"',
+  '720/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4200000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"',
+  '../hd/1080/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+  'http://cdn.example/audio.m3u8'
+].join('\r\n');
+
+test('parsePlaylist：BOM、CRLF、相对地址和AVERAGE-BANDWIDTH', () => {
+  const playlist = hls.parsePlaylist(MASTER, 'http://example.com/live/cctv1/master.m3u8');
+  assert.strictEqual(playlist.isMaster, true);
+  assert.deepStrictEqual(playlist.variants, [
+    { url: 'http://example.com/live/cctv1/720/index.m3u8', bandwidth: 1500000, width: 1280, height: 720, codecs: 'avc1.4d401f,mp4a.40.2' },
+    { url: 'http://example.com/live/hd/1080/index.m3u8', bandwidth: 4200000, width: 1920, height: 1080, codecs: 'avc1.640028,mp4a.40.2' },
+    { url: 'http://cdn.example/audio.m3u8', bandwidth: 800000, width: null, height: null, codecs: null }
+  ]);
+
+  const media = hls.parsePlaylist(mediaPlaylist({ sequence: 7, endList: true, type: 'vod' }), 'http://example.com/a/b.m3u8');
+  assert.strictEqual(media.isMaster, false);
+  assert.deepStrictEqual(media.segments.slice(0, 2), ['http://example.com/a/seg7.ts', 'http://example.com/a/seg8.ts']);
+  assert.deepStrictEqual([media.mediaSequence, media.targetDuration, media.endList, media.playlistType], [7, 1, true, 'VOD']);
+  assert.strictEqual(hls.parsePlaylist('<html></html>', 'http://example.com/'), null);
+});
+
+test('selectBestVariant：先比较分辨率高度，再比较码率', () => {
+  const variants = [
+    { url: 'a', height: 720, bandwidth: 9000000 },
+    { url: 'b', height: 1080, bandwidth: 3000000 },
+    { url: 'c', height: 1080, bandwidth: 4000000 },
+    { url: 'd', height: null, bandwidth: 20000000 }
+  ];
+  assert.strictEqual(hls.selectBestVariant(variants).url, 'c');
+  assert.strictEqual(hls.selectBestVariant([{ url: 'x', bandwidth: 1 }, { url: 'y', bandwidth: 2 }]).url, 'y');
+  assert.strictEqual(hls.selectBestVariant([]), null);
+});
+
+test('getStreamType：直播、点播和循环占位流', () => {
+  const parse = options => hls.parsePlaylist(mediaPlaylist(options), 'http://example.com/index.m3u8');
+  assert.strictEqual(hls.getStreamType(parse({ endList: true })), 'vod');
+  assert.strictEqual(hls.getStreamType(parse({ type: 'VOD' }), null), 'vod');
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 1 }), null), null);
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 1 }), parse({ sequence: 2 })), 'live');
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 1, segments: 2 }), parse({ sequence: 1, segments: 3 })), 'live');
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 1 }), parse({ sequence: 1, endList: true })), 'vod');
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 5 }), parse({ sequence: 5 })), 'placeholder');
+  assert.strictEqual(hls.getStreamType(parse({ sequence: 5 }), parse({ sequence: 0 })), 'placeholder');
+});
+
+test('清晰度级别和quality_min', () => {
+  assert.deepStrictEqual([0, 480, 720, 1080, 2160].map(hls.getHeightLevel), [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(['sd', 'hd', 'fhd', 'uhd', 1080, undefined].map(hls.getQualityLevel), [1, 2, 3, 4, 3, 0]);
+});
+
+test('probeSource：本地生成的播放列表，记录最高清晰度并区分直播、点播和占位流', async (t) => {
+  let liveSequence = 0;
+  const segment = { body: Buffer.alloc(188) };
+  const server = await startStubServer({
+    '/master.m3u8': { body: MASTER.replace('http://cdn.example/audio.m3u8', 'audio.m3u8') },
+    '/720/index.m3u8': { body: mediaPlaylist() },
+    '/hd/1080/index.m3u8': (req, res) => res.end(mediaPlaylist({ sequence: liveSequence++ })),
+    '/vod.m3u8': { body: mediaPlaylist({ endList: true }) },
+    '/loop.m3u8': { body: mediaPlaylist({ sequence: 3 }) },
+    ...Object.fromEntries([0, 1, 2, 3].map(n => [`/hd/1080/seg${n}.ts`, segment])),
+    ...Object.fromEntries([0, 3].map(n => [`/seg${n}.ts`, segment]))
+  });
+  t.after(() => server.close());
+  const options = { liveCheck: true, maxRefreshDelay: 50 };
+
+  const live = await probeSource(`${server.url}/master.m3u8`, options);
+  assert.strictEqual(live.ok, true);
+  assert.deepStrictEqual(live.stream, {
+    type: 'live', bandwidth: 4200000, width: 1920, height: 1080, codecs: 'avc1.640028,mp4a.40.2', variants: 3
+  });
+  assert.ok(!server.requests.some(request => request.path === '/720/index.m3u8'));
+
+  const vod = await probeSource(`${server.url}/vod.m3u8`, options);
+  assert.deepStrictEqual([vod.ok, vod.stream.type], [true, 'vod']);
+  const loop = await probeSource(`${server.url}/loop.m3u8`, options);
+  assert.deepStrictEqual([loop.ok, loop.stream.type, loop.stream.height], [true, 'placeholder', null]);
+  const unknown = await probeSource(`${server.url}/loop.m3u8`);
+  assert.strictEqual(unknown.stream.type, null);
+});
+
+test('applyResults rank模式：按分辨率和流类型排序，延迟只在同分时比较', () => {
+  const results = new Map([
+    ['http://a/720-fast.m3u8', { ok: true, latency: 10, stream: { type: 'live', height: 720 } }],
+    ['http://a/1080-slow.m3u8', { ok: true, latency: 400, stream: { type: 'live', height: 1080 } }],
+    ['http://a/1080-fast.m3u8', { ok: true, latency: 50, stream: { type: 'live', height: 1080 } }],
+    ['http://a/1080-loop.m3u8', { ok: true, latency: 5, stream: { type: 'placeholder', height: 1080 } }],
+    ['http://a/dead.m3u8', { ok: false, latency: 1, stream: null }]
+  ]);
+  const output = { cctv: [{ name: 'CCTV-1', sources: [...results.keys(), 'rtp://239.1.1.1:5000'] }] };
+  applyResults(output, results, 'rank', createSourceRanker({}));
+  assert.deepStrictEqual(output.cctv[0].sources.map(source => source.url || source), [
+    'http://a/1080-fast.m3u8',
+    'http://a/1080-slow.m3u8',
+    'http://a/720-fast.m3u8',
+    'http://a/1080-loop.m3u8',
+    'rtp://239.1.1.1:5000',
+    'http://a/dead.m3u8'
+  ]);
+  assert.deepStrictEqual(output.cctv[0].sources[0].stream, { type: 'live', height: 1080 });
+});
+
+test('run：quality_min按上次检测的分辨率过滤，清晰度未知的源照常保留', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-hls-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const playlistPath = path.join(dir, 'sub_1.txt');
+  fs.writeFileSync(playlistPath, [
+    '#EXTM3U',
+    '#EXTINF:-1,CCTV-1', 'http://a.example/720.m3u8',
+    '#EXTINF:-1,CCTV-1', 'http://a.example/1080.m3u8',
+    '#EXTINF:-1,CCTV-1', 'http://a.example/unknown.m3u8',
+    '#EXTINF:-1,CCTV-1 720P', 'http://a.example/named.m3u8',
+    '#EXTINF:-1,CCTV-5 720P', 'http://a.example/cctv5.m3u8'
+  ].join('\n'));
+  const config = {
+    subscription_urls: [{ id: 1, url: 'http://127.0.0.1/sub1.m3u' }],
+    cctv_channels: { free_terrestrial_channel: [{ name: 'CCTV-1', quality_min: 'fhd' }, { name: 'CCTV-5' }] }
+  };
+  const withHeight = (url, height) => ({ url, stream: { type: 'live', height } });
+  const previousOutput = {
+    cctv_channels: { free_terrestrial_channel: [{ name: 'CCTV-1', sources: [withHeight('http://a.example/720.m3u8', 720), withHeight('http://a.example/1080.m3u8', 1080)] }] }
+  };
+
+  const { output } = await run({ config, previousOutput, files: [playlistPath], outputPath: path.join(dir, 'output.json'), dryRun: true });
+  const sources = {};
+  forEachOutputChannel(output, (entry) => {
+    sources[entry.name] = entry.sources.map(source => source.url);
+  });
+  assert.deepStrictEqual(sources, {
+    'CCTV-1': ['http://a.example/1080.m3u8', 'http://a.example/unknown.m3u8'],
+    'CCTV-5': ['http://a.example/cctv5.m3u8']
+  });
+});
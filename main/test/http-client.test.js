@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { request, requestWithRetry } = require('../http-client');
+const { startStubServer } = require('./helpers/stub-server');
+
+test('跟随相对地址的重定向，超过次数上限时报错', async (t) => {
+  const server = await startStubServer({
+    '/start': { status: 301, headers: { location: '/final' } },
+    '/final': { body: 'ok' },
+    '/loop': { status: 302, headers: { location: '/loop' } }
+  });
+  t.after(() => server.close());
+
+  const result = await request(`${server.url}/start`);
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.body.toString(), 'ok');
+  assert.strictEqual(result.finalUrl, `${server.url}/final`);
+
+  await assert.rejects(request(`${server.url}/loop`, { maxRedirects: 2 }), /Too many redirects \(>2\)/);
+});
+
+test('重定向地址无效时返回错误而不是抛出异常', async (t) => {
+  const server = await startStubServer({
+    '/bad': { status: 302, headers: { location: 'http://[bad' } }
+  });
+  t.after(() => server.close());
+
+  await assert.rejects(request(`${server.url}/bad`), /Invalid redirect location: http:\/\/\[bad/);
+  await assert.rejects(requestWithRetry(`${server.url}/bad`, { retries: 0 }), /Invalid redirect location/);
+});
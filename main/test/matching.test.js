@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChannelMatcher, normalizeName } = require('../normalize');
+const categories = require('../categories');
+const config = require('./fixtures/channel.json');
+
+const channels = categories.walkCategories(config).flatMap(category => category.channels);
+
+test('归一化：全角、繁体、括号和画质标记', () => {
+  assert.strictEqual(normalizeName('[1080p]CCTV１ HD'), 'cctv1');
+  assert.strictEqual(normalizeName('CCTV-1 综合高清'), 'cctv1综合');
+  assert.strictEqual(normalizeName('北京衛視（備用）'), '北京卫视');
+  assert.strictEqual(normalizeName('湖南卫视, HD'), '湖南卫视');
+});
+
+test('归一化：CCTV-4K/8K 是独立频道，频道名后的 4K 仍作为画质标记', () => {
+  assert.strictEqual(normalizeName('CCTV-4K'), 'cctv4k');
+  assert.strictEqual(normalizeName('CCTV 4K'), 'cctv4k');
+  assert.strictEqual(normalizeName('CCTV4K超高清'), 'cctv4k');
+  assert.strictEqual(normalizeName('CCTV_8K'), 'cctv8k');
+  assert.strictEqual(normalizeName('CCTV-1 4K'), 'cctv1');
+  assert.strictEqual(normalizeName('湖南卫视 4K'), '湖南卫视');
+  assert.notStrictEqual(normalizeName('CCTV-4K'), normalizeName('CCTV'));
+});
+
+test('匹配到频道键，CCTV-5 与 CCTV-5+ 互不混淆', () => {
+  const matcher = createChannelMatcher(channels);
+  assert.strictEqual(matcher.match('CCTV１ HD'), 'CCTV-1');
+  assert.strictEqual(matcher.match('CCTV-1 综合高清'), 'CCTV-1');
+  assert.strictEqual(matcher.match('cctv_5'), 'CCTV-5');
+  assert.strictEqual(matcher.match('CCTV5+ 体育赛事'), null);
+  assert.strictEqual(matcher.match('CCTV-5+'), 'CCTV-5+');
+  assert.strictEqual(matcher.match('湖南卫视, HD'), '湖南卫视');
+  assert.strictEqual(matcher.match('东方卫视'), null);
+});
+
+test('patterns正则不会抢走其他频道的精确别名', () => {
+  const matcher = createChannelMatcher([
+    { name: 'CCTV-5', patterns: ['^cctv-?5'] },
+    { name: 'CCTV-5+' }
+  ]);
+  assert.strictEqual(matcher.match('CCTV5 体育'), 'CCTV-5');
+  assert.strictEqual(matcher.match('CCTV5+'), 'CCTV-5+');
+});
+
+test('分类树遍历、频道所在分类和显示名称', () => {
+  assert.deepStrictEqual(categories.walkCategories(config).map(category => category.path.join('.')), [
+    'cctv_channels.free_terrestrial_channel',
+    'provincial_satellite_channel.huabei_region',
+    'provincial_satellite_channel.zhongnan_region'
+  ]);
+  const categoryPath = categories.findChannelCategory(config, '北京卫视');
+  assert.deepStrictEqual(categoryPath, ['provincial_satellite_channel', 'huabei_region']);
+  assert.strictEqual(categories.getCategoryLabel(categoryPath), '卫视频道-华北');
+  assert.strictEqual(categories.getCategoryHint('卫视频道').suffix, '卫视');
+});
+
+test('按频道或分类过滤', () => {
+  const filter = categories.createChannelFilter(createChannelMatcher(channels), { channels: ['cctv1综合'], categories: ['卫视频道-中南'] });
+  assert.ok(filter.includes('CCTV-1', ['cctv_channels', 'free_terrestrial_channel']));
+  assert.ok(filter.includes('湖南卫视', ['provincial_satellite_channel', 'zhongnan_region']));
+  assert.ok(!filter.includes('北京卫视', ['provincial_satellite_channel', 'huabei_region']));
+});
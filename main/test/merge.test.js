@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeChannelSources } = require('../merge');
+const { getChannelOverrides } = require('../channel-overrides');
+
+const RUN_AT = '2026-01-01T00:00:00.000Z';
+
+test('mergeChannelSources：置顶的源占用数量上限，未达到上限时剩余名额留给其他源', () => {
+  const entry = { name: 'CCTV-1', sources: [{ url: 'http://a.example/old.m3u8', first_seen: RUN_AT }] };
+  const matched = [{ url: 'http://a.example/1.m3u8' }, { url: 'http://a.example/2.m3u8' }];
+  mergeChannelSources(entry, matched, RUN_AT, { maxSources: 3, pinned: ['http://pin.example/1.m3u8'] });
+
+  assert.deepStrictEqual(entry.sources.map(source => source.url), [
+    'http://pin.example/1.m3u8',
+    'http://a.example/old.m3u8',
+    'http://a.example/1.m3u8'
+  ]);
+  assert.strictEqual(entry.sources[0].pinned, true);
+});
+
+test('mergeChannelSources：置顶的源达到或超过数量上限时全部保留，不再保留其他源', () => {
+  const overrides = getChannelOverrides({
+    name: 'CCTV-1',
+    pinned_sources: ['http://pin.example/1.m3u8', 'http://pin.example/2.m3u8', 'http://pin.example/3.m3u8'],
+    max_sources: 2
+  });
+  const matched = [{ url: 'http://a.example/1.m3u8' }, { url: 'http://pin.example/2.m3u8', name: 'CCTV1' }];
+
+  for (const maxSources of [overrides.maxSources, 3]) {
+    const entry = { name: 'CCTV-1', sources: [{ url: 'http://a.example/old.m3u8', first_seen: RUN_AT }] };
+    mergeChannelSources(entry, matched, RUN_AT, { maxSources, pinned: overrides.pinned });
+
+    assert.deepStrictEqual(entry.sources.map(source => source.url), overrides.pinned);
+    assert.ok(entry.sources.every(source => source.pinned));
+    assert.strictEqual(entry.sources[1].name, 'CCTV1');
+  }
+});
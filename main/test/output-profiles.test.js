@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyProfile, getOutputProfiles } = require('../output-profiles');
+const { exportPlaylists } = require('../export-playlists');
+const { silenceConsole } = require('./helpers/stub-server');
+
+silenceConsole();
+
+const OUTPUT = {
+  cctv_channels: {
+    free_terrestrial_channel: [
+      {
+        name: 'CCTV-1',
+        sources: [
+          { url: 'http://[2001:db8::1]/cctv1.m3u8' },
+          { url: 'http://a.example/cctv1-slow.m3u8', health: { ok: true, latency: 300 } },
+          { url: 'https://a.example/cctv1-fast.m3u8', health: { ok: true, latency: 20 } }
+        ]
+      },
+      { name: 'CCTV-5', sources: [{ url: 'http://[2001:db8::5]/cctv5.m3u8' }] },
+      { name: 'CCTV-5+', sources: [] }
+    ]
+  },
+  provincial_satellite_channel: {
+    huabei_region: [{ name: '北京卫视', sources: ['rtp://239.1.1.1:5000'] }]
+  }
+};
+
+test('applyProfile：按分类、协议、IP版本和数量裁剪，没有剩余源的频道和分类去掉', () => {
+  const ipv4 = applyProfile(OUTPUT, { ip_version: 'ipv4', sort: 'latency', max_sources: 1 });
+  assert.deepStrictEqual(ipv4.cctv_channels.free_terrestrial_channel.map(entry => [entry.name, entry.sources.map(source => source.url)]), [
+    ['CCTV-1', ['https://a.example/cctv1-fast.m3u8']]
+  ]);
+  assert.deepStrictEqual(ipv4.provincial_satellite_channel.huabei_region[0].sources, ['rtp://239.1.1.1:5000']);
+
+  const http = applyProfile(OUTPUT, { protocols: ['http', 'https'], include_categories: ['卫视频道'] });
+  assert.deepStrictEqual(http, { provincial_satellite_channel: { huabei_region: [] } });
+
+  const cctv = applyProfile(OUTPUT, { exclude_categories: ['provincial_satellite_channel'] });
+  assert.deepStrictEqual(Object.keys(cctv), ['cctv_channels']);
+  assert.deepStrictEqual(cctv.cctv_channels.free_terrestrial_channel.map(entry => entry.name), ['CCTV-1', 'CCTV-5']);
+  assert.strictEqual(OUTPUT.cctv_channels.free_terrestrial_channel.length, 3);
+});
+
+test('导出输出配置：M3U中的节目单地址相对profiles目录，绝对地址保持不变', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-profiles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // 在Actions中运行时节目单地址会使用仓库的raw地址
+  for (const name of ['GITHUB_REPOSITORY', 'GITHUB_REF_NAME']) {
+    const value = process.env[name];
+    delete process.env[name];
+    t.after(() => {
+      if (value !== undefined) process.env[name] = value;
+    });
+  }
+
+  const config = { output_profiles: { ipv4: { ip_version: 'ipv4', formats: ['m3u', 'json'] } } };
+  const configPath = path.join(dir, 'channel.json');
+  const options = {
+    outputPath: path.join(dir, 'output.json'),
+    configPath,
+    m3uPath: path.join(dir, 'output.m3u'),
+    txtPath: path.join(dir, 'output.txt'),
+    epgPath: path.join(dir, 'epg.xml.gz'),
+    profilesDir: path.join(dir, 'profiles')
+  };
+  fs.writeFileSync(options.outputPath, JSON.stringify(OUTPUT));
+  fs.writeFileSync(options.epgPath, '');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  assert.deepStrictEqual(getOutputProfiles(config).map(profile => profile.name), ['ipv4']);
+
+  await exportPlaylists(options);
+  const readHeader = file => fs.readFileSync(file, 'utf8').split('\n')[0];
+  assert.strictEqual(readHeader(options.m3uPath), '#EXTM3U x-tvg-url="epg.xml.gz"');
+  assert.strictEqual(readHeader(path.join(dir, 'profiles', 'ipv4.m3u')), '#EXTM3U x-tvg-url="../epg.xml.gz"');
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'profiles')).sort(), ['ipv4.json', 'ipv4.m3u']);
+  const profileOutput = JSON.parse(fs.readFileSync(path.join(dir, 'profiles', 'ipv4.json'), 'utf8'));
+  assert.deepStrictEqual(profileOutput.cctv_channels.free_terrestrial_channel.map(entry => entry.name), ['CCTV-1']);
+
+  fs.writeFileSync(configPath, JSON.stringify({ ...config, epg: { public_url: 'https://tv.example/epg.xml.gz' } }));
+  await exportPlaylists(options);
+  assert.strictEqual(readHeader(path.join(dir, 'profiles', 'ipv4.m3u')), '#EXTM3U x-tvg-url="https://tv.example/epg.xml.gz"');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const zlib = require('zlib');
+const { parseExtinf, parsePlaylistFile, parsePlaylistContent, sniffFormat } = require('../playlist-parser');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+/**
+ * 解析并收集全部条目 [{ name, source, group }]
+ */
+async function collect(parse, input, options) {
+  const entries = [];
+  const result = await parse(input, (name, source, group) => entries.push({ name, source, group }), options);
+  return { ...result, entries };
+}
+
+test('parseExtinf 标题可以包含逗号，引号内的逗号属于属性', () => {
+  const { attributes, title } = parseExtinf('#EXTINF:-1 tvg-logo="http://x/a,b.png" group-title="卫视",湖南卫视, HD');
+  assert.strictEqual(title, '湖南卫视, HD');
+  assert.strictEqual(attributes['tvg-logo'], 'http://x/a,b.png');
+  assert.strictEqual(attributes['group-title'], '卫视');
+});
+
+test('CRLF换行的M3U：保留属性、选项和头中的节目单地址', async () => {
+  const { format, entries, epgUrls } = await collect(parsePlaylistFile, fixture('crlf.m3u'));
+  assert.strictEqual(format, 'm3u');
+  assert.deepStrictEqual(epgUrls, ['http://epg.example/e.xml']);
+  assert.strictEqual(entries.length, 2);
+  assert.strictEqual(entries[0].name, 'CCTV-1 综合高清');
+  assert.strictEqual(entries[0].source.url, 'http://a.example/cctv1.m3u8');
+  assert.strictEqual(entries[0].source.attributes['tvg-id'], 'cctv1');
+  assert.strictEqual(entries[1].group, '卫视');
+  assert.deepStrictEqual(entries[1].source.vlc_options, { 'http-user-agent': 'MyUA' });
+  assert.ok(entries.every(entry => !entry.source.url.endsWith('\r')));
+});
+
+test('带BOM的TXT：识别分组，支持多地址和线路说明', async () => {
+  const { format, entries } = await collect(parsePlaylistFile, fixture('bom.txt'));
+  assert.strictEqual(format, 'txt');
+  assert.deepStrictEqual(entries.map(entry => [entry.group, entry.name, entry.source.url]), [
+    ['央视频道', 'CCTV１ HD', 'http://b.example/cctv1.m3u8'],
+    ['央视频道', 'CCTV-5+', 'http://b.example/cctv5p.m3u8'],
+    ['央视频道', 'CCTV-5+', 'http://b.example/cctv5p-2.m3u8'],
+    ['卫视频道', '北京', 'http://b.example/beijing.m3u8']
+  ]);
+  assert.strictEqual(entries[2].source.label, '备用');
+});
+
+test('M3U频道名中的逗号和tvg-name', async () => {
+  const { entries } = await collect(parsePlaylistFile, fixture('commas.m3u'));
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['湖南卫视, HD', 'CCTV-5']);
+  assert.strictEqual(entries[0].source.attributes['tvg-logo'], 'http://logo.example/a,b.png');
+});
+
+test('TXT频道名中的逗号：以地址前的逗号分隔', async () => {
+  const txt = '卫视, 高清,#genre#\n湖南卫视, HD,http://x/1.m3u8\nCCTV-1,综合, rtp://239.3.1.1:8000\n无地址,备注\n';
+  const { entries } = await collect(parsePlaylistContent, txt, { format: 'txt' });
+  assert.deepStrictEqual(entries.map(entry => [entry.group, entry.name, entry.source.url]), [
+    ['卫视, 高清', '湖南卫视, HD', 'http://x/1.m3u8'],
+    ['卫视, 高清', 'CCTV-1,综合', 'rtp://239.3.1.1:8000']
+  ]);
+});
+
+test('gzip和base64编码的订阅解码后重新嗅探', async () => {
+  const m3u = '#EXTM3U\n#EXTINF:-1,CCTV-1\nhttp://d.example/1.m3u8\n';
+  const gzipped = await collect(parsePlaylistContent, zlib.gzipSync(m3u));
+  assert.strictEqual(gzipped.format, 'gzip+m3u');
+  assert.strictEqual(gzipped.entries[0].source.url, 'http://d.example/1.m3u8');
+
+  const encoded = await collect(parsePlaylistContent, Buffer.from(m3u).toString('base64'));
+  assert.strictEqual(encoded.format, 'base64+m3u');
+  assert.strictEqual(encoded.entries.length, 1);
+});
+
+test('嗅探格式', () => {
+  assert.strictEqual(sniffFormat(Buffer.from('\uFEFF#EXTM3U\n')), 'm3u');
+  assert.strictEqual(sniffFormat(Buffer.from('{"lives":[]}')), 'tvbox');
+  assert.strictEqual(sniffFormat(Buffer.from('CCTV-1,http://x/1.m3u8')), 'txt');
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, resolveSettings, fetchSubscriptions, getChannelKey, forEachOutputChannel } = require('..');
+const { startStubServer, silenceConsole } = require('./helpers/stub-server');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+const config = JSON.parse(fs.readFileSync(fixture('channel.json'), 'utf8'));
+const M3U = '#EXTM3U\n#EXTINF:-1,CCTV-1\nhttp://e.example/cctv1.m3u8\n';
+
+silenceConsole();
+
+/**
+ * 创建临时目录，测试结束后删除
+ */
+function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-tv-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 输出中每个频道的源地址 { 频道键: [地址] }
+ */
+function sourcesByChannel(output) {
+  const result = {};
+  forEachOutputChannel(output, (entry) => {
+    result[getChannelKey(entry)] = entry.sources.map(source => source.url);
+  });
+  return result;
+}
+
+test('run：解析本地订阅文件、匹配并按分类输出，预览模式不写文件', async (t) => {
+  const dir = makeTempDir(t);
+  const { output, unmatched } = await run({
+    config,
+    files: [fixture('crlf.m3u'), fixture('bom.txt'), fixture('commas.m3u')],
+    outputPath: path.join(dir, 'output.json'),
+    dryRun: true
+  });
+
+  assert.deepStrictEqual(sourcesByChannel(output), {
+    'CCTV-1': ['http://a.example/cctv1.m3u8', 'http://b.example/cctv1.m3u8'],
+    'CCTV-5': ['http://c.example/cctv5.m3u8'],
+    'CCTV-5+': ['http://b.example/cctv5p.m3u8', 'http://b.example/cctv5p-2.m3u8'],
+    '北京卫视': ['http://a.example/beijing.m3u8', 'http://b.example/beijing.m3u8'],
+    '湖南卫视': ['http://c.example/hunan.m3u8']
+  });
+  // 卫视分组下省略后缀的 "北京" 按分组提示补全
+  assert.strictEqual(output.provincial_satellite_channel.huabei_region[0].sources[1].source_name, '北京');
+  assert.deepStrictEqual(unmatched, []);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('run：写入output.json、播放列表和运行报告，导出使用传入的配置而不是channel.json', async (t) => {
+  const dir = makeTempDir(t);
+  const outputPath = path.join(dir, 'output.json');
+  const runConfig = JSON.parse(JSON.stringify(config));
+  Object.assign(runConfig.cctv_channels.free_terrestrial_channel[0], { tvg_id: 'cctv1.test', tvg_logo: 'http://logo.example/cctv1.png' });
+  runConfig.output_profiles = { cctv: { include_categories: ['央视频道'], formats: ['m3u'] } };
+  const { report } = await run({ config: runConfig, files: [fixture('crlf.m3u')], outputPath, history: false });
+
+  const saved = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  assert.deepStrictEqual(sourcesByChannel(saved)['CCTV-1'], ['http://a.example/cctv1.m3u8']);
+  const m3u = fs.readFileSync(path.join(dir, 'output.m3u'), 'utf8');
+  assert.match(m3u, /tvg-id="cctv1\.test" tvg-name="CCTV-1" tvg-logo="http:\/\/logo\.example\/cctv1\.png" group-title="央视频道-央视免费",CCTV-1\nhttp:\/\/a\.example\/cctv1\.m3u8/);
+  // 输出配置只存在于传入的配置中
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'profiles')), ['cctv.m3u']);
+  assert.match(fs.readFileSync(path.join(dir, 'profiles', 'cctv.m3u'), 'utf8'), /tvg-id="cctv1\.test"/);
+  assert.match(fs.readFileSync(path.join(dir, 'output.txt'), 'utf8'), /^央视频道-央视免费,#genre#\nCCTV-1,http:\/\/a\.example\/cctv1\.m3u8$/m);
+  assert.strictEqual(report.status, 'ok');
+  assert.ok(fs.existsSync(path.join(dir, 'report.json')));
+});
+
+test('run：输出目录不存在时先创建（包括锁文件所在目录）', async (t) => {
+  const dir = makeTempDir(t);
+  const outputPath = path.join(dir, 'new', 'nested', 'output.json');
+  await run({ config, files: [fixture('crlf.m3u')], outputPath, history: false });
+
+  assert.ok(fs.existsSync(outputPath));
+  assert.ok(!fs.existsSync(`${outputPath}.lock`));
+});
+
+test('下载失败：非2xx、HTML错误页和空响应不会作为订阅内容，重定向会跟随', async (t) => {
+  const server = await startStubServer({
+    '/ok.m3u': { body: M3U },
+    '/moved': { status: 302, headers: { location: '/ok.m3u' } },
+    '/500': { status: 500, body: 'error' },
+    '/html': { headers: { 'content-type': 'text/html' }, body: '<html>blocked</html>' },
+    '/empty': { body: '  \n' }
+  });
+  t.after(() => server.close());
+  const dir = makeTempDir(t);
+  const names = ['moved', '500', 'html', 'empty', 'missing'];
+  const channelData = { ...config, subscription_urls: names.map((name, index) => ({ id: index + 1, url: `${server.url}/${name}` })) };
+  const downloads = [];
+
+  const files = await fetchSubscriptions(channelData, resolveSettings({ cacheDir: dir, downloadRetries: 0 }), {
+    onSubscription: (download, index) => { downloads[index] = download; }
+  });
+
+  assert.deepStrictEqual(files.map(file => path.basename(file.path)), ['sub_1.txt']);
+  assert.strictEqual(fs.readFileSync(files[0].path, 'utf8'), M3U);
+  assert.deepStrictEqual(downloads.map(download => [download.status, download.error]), [
+    ['downloaded', null],
+    ['failed', 'HTTP 500'],
+    ['failed', 'Unexpected content type: text/html'],
+    ['failed', 'Empty response'],
+    ['failed', 'HTTP 404']
+  ]);
+});
+
+test('下载失败：5xx按退避重试，重试耗尽后沿用上次下载的文件', async (t) => {
+  let failures = 1;
+  const server = await startStubServer({
+    '/flaky.m3u': (req, res) => {
+      res.statusCode = failures-- > 0 ? 503 : 200;
+      res.end(M3U);
+    }
+  });
+  t.after(() => server.close());
+  const dir = makeTempDir(t);
+  const channelData = { ...config, subscription_urls: [{ id: 1, url: `${server.url}/flaky.m3u`, cache_ttl_minutes: 0 }] };
+  const settings = resolveSettings({ cacheDir: dir, downloadRetries: 1 });
+
+  const first = await fetchSubscriptions(channelData, settings);
+  assert.strictEqual(first.length, 1);
+  assert.strictEqual(server.requests.length, 2);
+
+  failures = 10;
+  const downloads = [];
+  const second = await fetchSubscriptions(channelData, { ...settings, downloadRetries: 0 }, {
+    onSubscription: download => downloads.push(download)
+  });
+  assert.strictEqual(fs.readFileSync(second[0].path, 'utf8'), M3U);
+  assert.strictEqual(downloads[0].status, 'failed');
+  assert.strictEqual(downloads[0].used_cache, true);
+});
+
+test('条件请求：缓存的ETag随请求发送，304时沿用缓存文件', async (t) => {
+  const server = await startStubServer({
+    '/etag.m3u': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+      res.writeHead(200, { etag: '"v1"' });
+      res.end(M3U);
+    }
+  });
+  t.after(() => server.close());
+  const dir = makeTempDir(t);
+  const channelData = { ...config, subscription_urls: [{ id: 1, url: `${server.url}/etag.m3u`, cache_ttl_minutes: 0 }] };
+  const settings = resolveSettings({ cacheDir: dir, downloadRetries: 0 });
+
+  await fetchSubscriptions(channelData, settings);
+  const statuses = [];
+  const files = await fetchSubscriptions(channelData, settings, { onSubscription: download => statuses.push(download.status) });
+  assert.deepStrictEqual(statuses, ['not_modified']);
+  assert.strictEqual(fs.readFileSync(files[0].path, 'utf8'), M3U);
+});
+
+test('所有订阅都下载失败且没有缓存时抛出异常', async (t) => {
+  const server = await startStubServer({});
+  t.after(() => server.close());
+  const dir = makeTempDir(t);
+  const channelData = { ...config, subscription_urls: [{ id: 1, url: `${server.url}/gone.m3u` }] };
+  await assert.rejects(fetchSubscriptions(channelData, resolveSettings({ cacheDir: dir, downloadRetries: 0 })), /下载失败且无可用缓存/);
+});
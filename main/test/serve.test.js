@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../serve');
+const { startStubServer, silenceConsole } = require('./helpers/stub-server');
+
+const MEDIA = '#EXTM3U\n#EXT-X-TARGETDURATION:2\n#EXTINF:2,\nseg1.ts\n';
+
+silenceConsole();
+
+/**
+ * 启动上游测试服务：/live 可用，/dead 返回404
+ */
+async function startUpstream(t) {
+  const upstream = await startStubServer({
+    '/live/index.m3u8': { body: MEDIA },
+    '/live/seg1.ts': { body: Buffer.alloc(188) },
+    '/backup/index.m3u8': { body: MEDIA },
+    '/backup/seg1.ts': { body: Buffer.alloc(188) }
+  });
+  t.after(() => upstream.close());
+  return upstream;
+}
+
+/**
+ * 在临时目录写入输出文件并启动服务，返回 { url, dir, outputPath }
+ */
+async function startService(t, output, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-serve-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outputPath = path.join(dir, options.outputName || 'output.json');
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+
+  const service = createServer({ outputPath, watchInterval: 50, timeout: 2000, ...options });
+  const address = await service.listen(0, '127.0.0.1');
+  t.after(() => service.close());
+  return { url: `http://127.0.0.1:${address.port}`, dir, outputPath };
+}
+
+/**
+ * 请求频道跳转接口，不跟随重定向
+ */
+function getChannel(url, name) {
+  return fetch(`${url}/channel/${encodeURIComponent(name)}`, { redirect: 'manual' });
+}
+
+/**
+ * 重复执行check直到返回true，超时报错
+ */
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('等待超时');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('频道跳转：302到当前最优的源，频道名按归一化规则匹配', async (t) => {
+  const upstream = await startUpstream(t);
+  const { url } = await startService(t, {
+    cctv: [{ name: ['CCTV-1', 'CCTV1综合'], sources: [`${upstream.url}/live/index.m3u8`, `${upstream.url}/backup/index.m3u8`] }]
+  });
+
+  for (const name of ['CCTV-1', 'cctv1', 'CCTV１ 高清', 'CCTV1综合']) {
+    const res = await getChannel(url, name);
+    assert.strictEqual(res.status, 302, name);
+    assert.strictEqual(res.headers.get('location'), `${upstream.url}/live/index.m3u8`);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+  }
+});
+
+test('频道跳转：后台探测失效的源被跳过，改为跳转到下一个源', async (t) => {
+  const upstream = await startUpstream(t);
+  const dead = `${upstream.url}/dead/index.m3u8`;
+  const backup = `${upstream.url}/backup/index.m3u8`;
+  const { url } = await startService(t, {
+    cctv: [{ name: 'CCTV-5', sources: [{ url: dead }, { url: backup }] }]
+  });
+
+  const first = await getChannel(url, 'CCTV-5');
+  assert.strictEqual(first.headers.get('location'), dead);
+  await waitFor(async () => (await getChannel(url, 'CCTV-5')).headers.get('location') === backup);
+  assert.ok(upstream.requests.some(request => request.path === '/dead/index.m3u8'));
+});
+
+test('频道跳转：未知频道返回404，源全部失效时返回503', async (t) => {
+  const upstream = await startUpstream(t);
+  const { url } = await startService(t, {
+    cctv: [{ name: 'CCTV-5', sources: [`${upstream.url}/dead/index.m3u8`] }]
+  });
+
+  const missing = await getChannel(url, '不存在的频道');
+  assert.strictEqual(missing.status, 404);
+  assert.match(await missing.text(), /Channel not found/);
+
+  await getChannel(url, 'CCTV-5');
+  await waitFor(async () => (await getChannel(url, 'CCTV-5')).status === 503);
+});
+
+test('output.json 变化时自动重新加载', async (t) => {
+  const upstream = await startUpstream(t);
+  const { url, outputPath } = await startService(t, {
+    cctv: [{ name: 'CCTV-1', sources: [`${upstream.url}/live/index.m3u8`] }]
+  });
+  assert.strictEqual((await getChannel(url, '北京卫视')).status, 404);
+
+  // 等监视器记下文件的初始状态后再修改，否则这次修改不会被当作变化
+  await new Promise(resolve => setTimeout(resolve, 200));
+  fs.writeFileSync(outputPath, JSON.stringify({
+    cctv: [{ name: 'CCTV-1', sources: [`${upstream.url}/backup/index.m3u8`] }],
+    satellite: [{ name: '北京卫视', sources: [`${upstream.url}/live/index.m3u8`] }]
+  }));
+  await waitFor(async () => (await getChannel(url, '北京卫视')).status === 302);
+  assert.strictEqual((await getChannel(url, 'CCTV-1')).headers.get('location'), `${upstream.url}/backup/index.m3u8`);
+});
+
+test('静态文件：文件名按outputPath推导，提供profiles目录下的输出配置文件', async (t) => {
+  const { url, dir } = await startService(t, { cctv: [] }, { outputName: 'tv.json' });
+  fs.writeFileSync(path.join(dir, 'tv.m3u'), '#EXTM3U\n');
+  fs.writeFileSync(path.join(dir, 'tv-ipv6.txt'), 'ipv6');
+  fs.writeFileSync(path.join(dir, 'output.m3u'), 'stale');
+  fs.mkdirSync(path.join(dir, 'profiles'));
+  fs.writeFileSync(path.join(dir, 'profiles', 'cctv.m3u'), '#EXTM3U profile\n');
+
+  const index = await fetch(`${url}/`);
+  assert.deepStrictEqual(await index.json(), { cctv: [] });
+  assert.strictEqual((await fetch(`${url}/tv.json`)).status, 200);
+
+  const m3u = await fetch(`${url}/tv.m3u`);
+  assert.strictEqual(m3u.headers.get('content-type'), 'audio/x-mpegurl; charset=utf-8');
+  assert.strictEqual(await m3u.text(), '#EXTM3U\n');
+  assert.strictEqual(await (await fetch(`${url}/tv-ipv6.txt`)).text(), 'ipv6');
+  assert.strictEqual(await (await fetch(`${url}/profiles/cctv.m3u`)).text(), '#EXTM3U profile\n');
+
+  for (const file of ['output.json', 'output.m3u', 'profiles/missing.m3u', 'profiles/..%2Ftv.json', 'channel.json']) {
+    assert.strictEqual((await fetch(`${url}/${file}`)).status, 404, file);
+  }
+});
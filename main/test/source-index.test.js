@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { buildSourceIndex, resolveChannels } = require('../source-index');
+const { createChannelMatcher } = require('../normalize');
+const { walkCategories } = require('../categories');
+const config = require('./fixtures/channel.json');
+
+// 生成的订阅条目数和耗时上限（单核CI上也足够宽松）
+const ENTRY_COUNT = 200000;
+const TIME_LIMIT = 30000;
+
+/**
+ * 生成大型M3U订阅：每5条中有1条是配置中的频道，其余是2000个不同的未知频道
+ */
+function writeLargePlaylist(filePath) {
+  const names = ['CCTV-1 HD', 'CCTV5', '北京卫视', '湖南卫视'];
+  const lines = ['#EXTM3U'];
+  for (let i = 0; i < ENTRY_COUNT; i++) {
+    const name = i % 5 === 0 ? names[(i / 5) % names.length] : `测试频道${Math.floor(i / 5) % 2000}`;
+    lines.push(`#EXTINF:-1 tvg-name="${name}" group-title="分组${i % 20}",${name}`);
+    lines.push(`http://host${i % 50}.example.com/live/${i}.m3u8`);
+  }
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+const matcher = createChannelMatcher(walkCategories(config).flatMap(category => category.channels));
+
+/**
+ * 创建临时目录，测试结束后删除
+ */
+function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cter-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('大型订阅：一次解析建立索引并解析全部频道', async (t) => {
+  const dir = makeTempDir(t);
+  const filePath = path.join(dir, 'sub_1.txt');
+  writeLargePlaylist(filePath);
+  assert.ok(fs.statSync(filePath).size > 5 * 1024 * 1024);
+
+  const startedAt = Date.now();
+  const files = [];
+  const index = await buildSourceIndex([{ path: filePath }], { matcher, onFile: info => files.push(info) });
+  const { sources, unmatched } = resolveChannels(index);
+  const elapsed = Date.now() - startedAt;
+
+  assert.strictEqual(files[0].entries, ENTRY_COUNT);
+  assert.strictEqual(files[0].channels, 2004);
+  assert.deepStrictEqual([...sources.keys()].sort(), ['CCTV-1', 'CCTV-5', '北京卫视', '湖南卫视'].sort());
+  for (const records of sources.values()) {
+    assert.strictEqual(records.length, ENTRY_COUNT / 5 / 4);
+  }
+  assert.strictEqual(sources.get('CCTV-1')[0].url, 'http://host0.example.com/live/0.m3u8');
+  assert.strictEqual(unmatched.length, 2000);
+  assert.strictEqual(unmatched.reduce((sum, item) => sum + item.count, 0), ENTRY_COUNT * 4 / 5);
+  assert.ok(elapsed < TIME_LIMIT, `解析和匹配耗时 ${elapsed}ms`);
+  // 未匹配的名称只保留名称和计数，不保留源
+  assert.deepStrictEqual(Object.keys(index.unmatched.values().next().value).sort(), ['count', 'files', 'key', 'name', 'subscription_ids', 'variants']);
+  assert.strictEqual(index.discovered.size, 0);
+});
+
+test('自动发现时保留未匹配名称的源，按订阅分组归类', async (t) => {
+  const dir = makeTempDir(t);
+  const filePath = path.join(dir, 'sub_1.txt');
+  fs.writeFileSync(filePath, '地方频道,#genre#\n测试台,http://a.example/1.m3u8\nCCTV1,http://a.example/cctv1.m3u8\n测试台,http://a.example/2.m3u8\n');
+
+  const index = await buildSourceIndex([{ path: filePath }], { matcher, discover: true });
+  const { sources, unmatched, discovered } = resolveChannels(index);
+  assert.deepStrictEqual(sources.get('CCTV-1').map(record => record.url), ['http://a.example/cctv1.m3u8']);
+  assert.deepStrictEqual(unmatched.map(item => [item.name, item.count]), [['测试台', 2]]);
+  assert.deepStrictEqual([...discovered.get('地方频道').get('测试台')].map(record => record.url), ['http://a.example/1.m3u8', 'http://a.example/2.m3u8']);
+});
+
+test('中途解析失败的文件（gzip被截断）不留下部分结果', async (t) => {
+  const dir = makeTempDir(t);
+  const lines = ['#EXTM3U'];
+  for (let i = 0; i < 20000; i++) lines.push('#EXTINF:-1,CCTV-1', `http://broken.example/${i}.m3u8`);
+  const gzipped = zlib.gzipSync(lines.join('\n'));
+  const brokenPath = path.join(dir, 'sub_1.txt');
+  fs.writeFileSync(brokenPath, gzipped.subarray(0, Math.floor(gzipped.length / 2)));
+  const goodPath = path.join(dir, 'sub_2.txt');
+  fs.writeFileSync(goodPath, '#EXTM3U\n#EXTINF:-1,CCTV-5\nhttp://good.example/cctv5.m3u8\n#EXTINF:-1,未知台\nhttp://good.example/x.m3u8\n');
+
+  const files = [];
+  const index = await buildSourceIndex([{ path: brokenPath }, { path: goodPath }], { matcher, onFile: info => files.push(info) });
+  assert.ok(files[0].error);
+  assert.deepStrictEqual([...index.matched.keys()], ['CCTV-5']);
+  assert.deepStrictEqual([...index.unmatched.keys()], ['未知台']);
+});